@@ -26,10 +26,14 @@ const cat = new Sprite({
   y: 150,
   frameWidth: 64,
   frameHeight: 64,
-  frameRate: 8,     // Animation speed (will be adjusted based on movement)
-  animate: true,
   frames: 31,       // Only use the first 31 frames (avoid blanks)
-  frameSequence: [0, 1, 2, 3, 4, 5, 6], // Start with idle animation    
+  animations: {
+    idle: { frames: [0, 1, 2, 3, 4, 5, 6], frameRate: 4 }, // Row 0: Idle
+    walk: { frames: [7, 8, 9, 10, 11, 12, 13], frameRate: 6 }, // Row 1: Walking
+    run: { frames: [14, 15, 16, 17, 18, 19, 20], frameRate: 10 }, // Row 2: Running
+    sprint: { frames: [21, 22, 23, 24, 25, 26, 27], frameRate: 14 }, // Row 3: Fast running
+  },
+  animation: 'idle',
   update: function (sprite, cfg) {
     // Calculate distance to mouse
     const dx = mouseX - sprite.x;
@@ -65,30 +69,12 @@ const cat = new Sprite({
       } else if (dx > 0) {
         sprite.flipHorizontal = false; // Moving right - don't flip (default)
       }
-
-      // Set animation based on movement state
-      sprite.animate = true;
-      switch (animationState) {
-        case 'walk':
-          sprite.frameSequence = [7, 8, 9, 10, 11, 12, 13]; // Row 1: Walking
-          sprite.frameRate = 6; // Slower animation
-          break;
-        case 'run':
-          sprite.frameSequence = [14, 15, 16, 17, 18, 19, 20]; // Row 2: Running
-          sprite.frameRate = 10; // Medium speed
-          break;
-        case 'sprint':
-          sprite.frameSequence = [21, 22, 23, 24, 25, 26, 27]; // Row 3: Fast running
-          sprite.frameRate = 14; // Fast animation
-          break;
-      }
-    } else {
-      // Cat is close to mouse - idle state
-      sprite.animate = true;
-      sprite.frameSequence = [0, 1, 2, 3, 4, 5, 6]; // Row 0: Idle
-      sprite.frameRate = 4; // Very slow idle animation
     }
 
+    // Switch animation based on movement state (play does nothing if the
+    // animation is already playing, so it's fine to call every frame)
+    sprite.play(animationState);
+
     // Rotate slightly based on movement direction for extra character
     if (distance > 5) {
       sprite.angle = Math.atan2(dy, dx) * 0.05; // Subtle tilt
@@ -48,12 +48,18 @@ const gameInterface = new GameInterface({
   parent: document.getElementById('demo-container') || document.body
 });
 
-gameInterface.addDrawing(
-  ({ ctx, width, height, stepTime }) => {
-    // Update ball position first
+// Updates run at a fixed rate (60 times a second by default), so the
+// ball falls the same way no matter how fast the screen redraws.
+gameInterface.addUpdate(
+  ({ width, height, stepTime }) => {
     moveBall(stepTime / 1000);
     bounceBall(width, height);
-    // Clear and draw
+  }
+);
+
+// Drawings only draw -- no game logic in here.
+gameInterface.addDrawing(
+  ({ ctx, width, height }) => {
     ctx.clearRect(0, 0, width, height);
     ctx.beginPath();
     ctx.arc(xPosition, yPosition, 20, 0, Math.PI * 2);
@@ -0,0 +1,322 @@
+import type { AtlasData } from "./Atlas";
+
+/** Assets listed by name ({ hero: "hero.png" }) or just by URL (["hero.png"]) */
+type AssetList<T = string> = { [name: string]: T } | T[];
+
+/**
+ * Everything to load before a game starts. Each kind of asset is listed
+ * by name, and comes back under the same name (see {@link LoadedAssets}).
+ */
+export type AssetManifest = {
+  images?: AssetList;
+  /** Atlas JSON from Aseprite or TexturePacker; the image defaults to the one named in the JSON */
+  atlases?: AssetList<string | { json: string; image?: string }>;
+  json?: AssetList;
+  audio?: AssetList;
+  /** Font files by font-family name, e.g. { "Press Start": "fonts/press-start.woff2" } */
+  fonts?: { [family: string]: string };
+};
+
+/** Atlas JSON with its image, ready for {@link Sprite.fromAtlas} */
+export type LoadedAtlas = { json: AtlasData; image: HTMLImageElement };
+
+/**
+ * Loaded assets, by the names used in the {@link AssetManifest}.
+ */
+export type LoadedAssets = {
+  images: { [name: string]: HTMLImageElement };
+  atlases: { [name: string]: LoadedAtlas };
+  json: { [name: string]: any };
+  audio: { [name: string]: HTMLAudioElement };
+  fonts: { [family: string]: FontFace };
+};
+
+/** How far along loading is */
+export type AssetProgress = {
+  loaded: number;
+  total: number;
+  /** loaded / total, from 0 to 1 */
+  progress: number;
+  /** The URL that just finished loading */
+  url?: string;
+};
+
+/**
+ * Images by absolute URL, shared by every AssetLoader and Sprite so an
+ * image is only downloaded and decoded once.
+ */
+const images = new Map<
+  string,
+  { image: HTMLImageElement; loaded: Promise<HTMLImageElement> }
+>();
+/** Everything else we have loaded (or are loading), by kind and absolute URL */
+const cache = new Map<string, Promise<unknown>>();
+
+function resolveUrl(url: string, base?: string) {
+  return new URL(url, base ?? document.baseURI).href;
+}
+
+function getImageEntry(url: string) {
+  let entry = images.get(url);
+  if (!entry) {
+    const image = new Image();
+    const loaded = new Promise<HTMLImageElement>((resolve, reject) => {
+      image.addEventListener("load", () => resolve(image));
+      image.addEventListener("error", () => {
+        // Let a failed load be retried (e.g. after fixing a typo).
+        images.delete(url);
+        reject(
+          new Error(
+            `Couldn't load image "${url}". Check that the file exists and the path is right.`
+          )
+        );
+      });
+    });
+    // Sprites that never wait on the promise shouldn't cause
+    // "unhandled rejection" warnings; they report errors themselves.
+    loaded.catch(() => {});
+    image.src = url;
+    entry = { image, loaded };
+    images.set(url, entry);
+  }
+  return entry;
+}
+
+/**
+ * Get the shared image element for a URL, starting to load it if nobody
+ * has yet. Used by Sprite so sprites with the same src share one image.
+ */
+export function getSharedImage(url: string): HTMLImageElement {
+  return getImageEntry(resolveUrl(url)).image;
+}
+
+async function fetchOk(url: string, what: string): Promise<Response> {
+  let response: Response;
+  try {
+    response = await fetch(url);
+  } catch (e) {
+    throw new Error(`Couldn't load ${what} "${url}": ${(e as Error).message}`);
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Couldn't load ${what} "${url}": ${response.status} ${response.statusText}`
+    );
+  }
+  return response;
+}
+
+function entriesOf<T>(list: AssetList<T> | undefined): [string, T][] {
+  if (!list) return [];
+  if (Array.isArray(list)) {
+    return list.map((item) => [
+      typeof item === "string" ? item : (item as any).json,
+      item,
+    ]);
+  }
+  return Object.entries(list);
+}
+
+/**
+ * AssetLoader loads images, atlases, JSON, audio and fonts ahead of time
+ * so the game doesn't start with missing pictures. Everything is cached by
+ * URL, so loading the same file twice (or making many Sprites with the
+ * same src) only downloads it once.
+ *
+ * Most games can use {@link GameCanvas.preload}, which uses the game's
+ * loader and draws a progress bar.
+ *
+ * @example <caption>Load everything, then start</caption>
+ * ```typescript
+ * const loader = new AssetLoader({ baseUrl: "assets/" });
+ * const assets = await loader.load(
+ *   {
+ *     images: { hero: "hero.png", tiles: "tiles.png" },
+ *     atlases: { slime: "slime.json" },
+ *     audio: { jump: "jump.wav" },
+ *   },
+ *   ({ progress }) => console.log(`${Math.round(progress * 100)}%`)
+ * );
+ * const slime = Sprite.fromAtlas(assets.atlases.slime.json, assets.atlases.slime.image);
+ * assets.audio.jump.play();
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class AssetLoader {
+  private baseUrl?: string;
+
+  /**
+   * @param config.baseUrl - folder (or URL) that relative asset paths are relative to (default: the page)
+   */
+  constructor(config: { baseUrl?: string } = {}) {
+    this.baseUrl =
+      config.baseUrl === undefined ? undefined : resolveUrl(config.baseUrl);
+  }
+
+  private resolve(url: string) {
+    return resolveUrl(url, this.baseUrl);
+  }
+
+  private cached<T>(kind: string, url: string, load: () => Promise<T>) {
+    const key = `${kind} ${url}`;
+    let promise = cache.get(key) as Promise<T> | undefined;
+    if (!promise) {
+      promise = load();
+      cache.set(key, promise);
+      // Let a failed load be retried (e.g. after fixing a typo).
+      promise.catch(() => cache.delete(key));
+    }
+    return promise;
+  }
+
+  /**
+   * Load an image.
+   */
+  public loadImage(url: string): Promise<HTMLImageElement> {
+    return getImageEntry(this.resolve(url)).loaded;
+  }
+
+  /**
+   * Load and parse a JSON file.
+   */
+  public loadJSON<T = any>(url: string): Promise<T> {
+    const resolved = this.resolve(url);
+    return this.cached("json", resolved, async () => {
+      const response = await fetchOk(resolved, "JSON");
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw new Error(
+          `"${resolved}" isn't valid JSON: ${(e as Error).message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Load a sound, ready to play().
+   */
+  public loadAudio(url: string): Promise<HTMLAudioElement> {
+    const resolved = this.resolve(url);
+    return this.cached("audio", resolved, async () => {
+      // Fetching first means a missing file is an error right away, rather
+      // than an audio element that never becomes ready.
+      const blob = await (await fetchOk(resolved, "audio")).blob();
+      const audio = new Audio(URL.createObjectURL(blob));
+      audio.preload = "auto";
+      return audio;
+    });
+  }
+
+  /**
+   * Load a font file and make it available to ctx.font as `family`.
+   */
+  public loadFont(family: string, url: string): Promise<FontFace> {
+    const resolved = this.resolve(url);
+    return this.cached("font", `${family} ${resolved}`, async () => {
+      const face = new FontFace(family, `url(${JSON.stringify(resolved)})`);
+      try {
+        await face.load();
+      } catch (e) {
+        throw new Error(
+          `Couldn't load font "${family}" from "${resolved}". Check that the file exists and is a font.`
+        );
+      }
+      document.fonts.add(face);
+      return face;
+    });
+  }
+
+  /**
+   * Load atlas JSON from Aseprite or TexturePacker and its image.
+   *
+   * @param jsonUrl - URL of the atlas JSON
+   * @param imageUrl - URL of the image (default: the image named in the JSON, relative to the JSON)
+   */
+  public async loadAtlas(
+    jsonUrl: string,
+    imageUrl?: string
+  ): Promise<LoadedAtlas> {
+    const json = await this.loadJSON<AtlasData>(jsonUrl);
+    const named = json?.meta?.image;
+    if (!imageUrl && typeof named !== "string") {
+      throw new Error(
+        `Atlas "${jsonUrl}" doesn't name its image (meta.image), so loadAtlas needs an image URL`
+      );
+    }
+    const image = await this.loadImage(
+      imageUrl ?? resolveUrl(named!, this.resolve(jsonUrl))
+    );
+    return { json, image };
+  }
+
+  /**
+   * Load everything in a manifest at once.
+   *
+   * @param manifest - the assets to load, by name
+   * @param onProgress - called each time an asset finishes loading
+   * @returns the loaded assets by the same names; rejects with the first error
+   */
+  public async load(
+    manifest: AssetManifest,
+    onProgress?: (progress: AssetProgress) => void
+  ): Promise<LoadedAssets> {
+    const assets: LoadedAssets = {
+      images: {},
+      atlases: {},
+      json: {},
+      audio: {},
+      fonts: {},
+    };
+    const jobs: [string, () => Promise<unknown>, (value: any) => void][] = [];
+    for (const [name, url] of entriesOf(manifest.images)) {
+      jobs.push([
+        url,
+        () => this.loadImage(url),
+        (v) => (assets.images[name] = v),
+      ]);
+    }
+    for (const [name, atlas] of entriesOf(manifest.atlases)) {
+      const { json, image } =
+        typeof atlas === "string" ? { json: atlas, image: undefined } : atlas;
+      jobs.push([
+        json,
+        () => this.loadAtlas(json, image),
+        (v) => (assets.atlases[name] = v),
+      ]);
+    }
+    for (const [name, url] of entriesOf(manifest.json)) {
+      jobs.push([
+        url,
+        () => this.loadJSON(url),
+        (v) => (assets.json[name] = v),
+      ]);
+    }
+    for (const [name, url] of entriesOf(manifest.audio)) {
+      jobs.push([
+        url,
+        () => this.loadAudio(url),
+        (v) => (assets.audio[name] = v),
+      ]);
+    }
+    for (const [family, url] of Object.entries(manifest.fonts ?? {})) {
+      jobs.push([
+        url,
+        () => this.loadFont(family, url),
+        (v) => (assets.fonts[family] = v),
+      ]);
+    }
+    const total = jobs.length;
+    let loaded = 0;
+    onProgress?.({ loaded, total, progress: total ? 0 : 1 });
+    await Promise.all(
+      jobs.map(async ([url, load, store]) => {
+        store(await load());
+        loaded++;
+        onProgress?.({ loaded, total, progress: loaded / total, url });
+      })
+    );
+    return assets;
+  }
+}
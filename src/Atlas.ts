@@ -0,0 +1,138 @@
+import type { SpriteAnimation, SpriteFrame } from "./Sprite";
+
+type AtlasRect = { x: number; y: number; w: number; h: number };
+
+/**
+ * One frame as exported by Aseprite or TexturePacker.
+ */
+export type AtlasFrameData = {
+  /** Frame name (array format only; the hash format uses the key) */
+  filename?: string;
+  /** Where the frame is on the sheet, in its unrotated size */
+  frame: AtlasRect;
+  /** If true, the frame is stored turned 90° clockwise on the sheet */
+  rotated?: boolean;
+  /** If true, transparent edges were cut off (see spriteSourceSize) */
+  trimmed?: boolean;
+  /** Where the trimmed frame sits in the original image */
+  spriteSourceSize?: AtlasRect;
+  /** Size of the original image before trimming */
+  sourceSize?: { w: number; h: number };
+  /** How long to show the frame in milliseconds (Aseprite) */
+  duration?: number;
+};
+
+/**
+ * An Aseprite frame tag.
+ */
+export type AtlasFrameTag = {
+  name: string;
+  from: number;
+  to: number;
+  direction?: "forward" | "reverse" | "pingpong" | "pingpong_reverse";
+  /** Number of times to play (Aseprite saves it as a string); loops forever if missing */
+  repeat?: string | number;
+};
+
+/**
+ * Atlas JSON from Aseprite ("Export Sprite Sheet" with JSON data) or
+ * TexturePacker (JSON hash or JSON array).
+ */
+export type AtlasData = {
+  frames: { [name: string]: AtlasFrameData } | AtlasFrameData[];
+  /** TexturePacker animations: lists of frame names */
+  animations?: { [name: string]: string[] };
+  meta?: {
+    image?: string;
+    frameTags?: AtlasFrameTag[];
+    [key: string]: unknown;
+  };
+};
+
+/**
+ * Turn an Aseprite tag into the frame numbers it plays.
+ */
+function tagFrames(tag: AtlasFrameTag, count: number): number[] {
+  if (!(tag.from >= 0 && tag.to < count && tag.from <= tag.to)) {
+    throw new Error(
+      `Atlas frame tag "${tag.name}" covers frames ${tag.from}-${tag.to}, but the atlas has ${count} frames`
+    );
+  }
+  let frames: number[] = [];
+  for (let i = tag.from; i <= tag.to; i++) frames.push(i);
+  const direction = tag.direction ?? "forward";
+  if (direction === "reverse" || direction === "pingpong_reverse") {
+    frames.reverse();
+  }
+  if (direction === "pingpong" || direction === "pingpong_reverse") {
+    // Go back without repeating either end: 0 1 2 3 2 1
+    frames = frames.concat(frames.slice(1, -1).reverse());
+  }
+  return frames;
+}
+
+/**
+ * Read Aseprite or TexturePacker atlas JSON into sprite frames and named
+ * animations. Used by {@link Sprite.fromAtlas}.
+ *
+ * Aseprite frame tags become animations with the tag's name, direction
+ * and repeat count. TexturePacker's `animations` lists become animations
+ * too.
+ */
+export function parseAtlas(json: AtlasData | string): {
+  frames: SpriteFrame[];
+  animations: { [name: string]: SpriteAnimation };
+} {
+  const data: AtlasData = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || typeof data.frames !== "object" || data.frames === null) {
+    throw new Error(
+      "Atlas JSON needs a frames list or object, as exported by Aseprite or TexturePacker"
+    );
+  }
+  const entries: [string, AtlasFrameData][] = Array.isArray(data.frames)
+    ? data.frames.map((f, i) => [f.filename ?? String(i), f])
+    : Object.entries(data.frames);
+  const frames = entries.map(([name, f]): SpriteFrame => {
+    if (!f.frame) {
+      throw new Error(`Atlas frame "${name}" has no frame rectangle`);
+    }
+    return {
+      name,
+      x: f.frame.x,
+      y: f.frame.y,
+      width: f.frame.w,
+      height: f.frame.h,
+      rotated: f.rotated || undefined,
+      offsetX: f.spriteSourceSize?.x ?? 0,
+      offsetY: f.spriteSourceSize?.y ?? 0,
+      sourceWidth: f.sourceSize?.w ?? f.frame.w,
+      sourceHeight: f.sourceSize?.h ?? f.frame.h,
+      duration: f.duration,
+    };
+  });
+
+  const animations: { [name: string]: SpriteAnimation } = {};
+  for (const tag of data.meta?.frameTags ?? []) {
+    let tagged = tagFrames(tag, frames.length);
+    const times = Number(tag.repeat);
+    if (times > 0) {
+      tagged = new Array(times).fill(tagged).flat();
+    }
+    animations[tag.name] = { frames: tagged, repeat: !(times > 0) };
+  }
+  const index = new Map(frames.map((f, i) => [f.name, i]));
+  for (const [name, names] of Object.entries(data.animations ?? {})) {
+    animations[name] = {
+      frames: names.map((frameName) => {
+        const i = index.get(frameName);
+        if (i === undefined) {
+          throw new Error(
+            `Atlas animation "${name}" uses frame "${frameName}", which isn't in the atlas`
+          );
+        }
+        return i;
+      }),
+    };
+  }
+  return { frames, animations };
+}
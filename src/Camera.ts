@@ -0,0 +1,215 @@
+/**
+ * A rectangle in world coordinates that the camera may not look outside of.
+ */
+export type CameraBounds = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+/**
+ * Anything with a position the camera can follow, such as a Sprite.
+ * If the target has getBounds() (like a Sprite) or targetWidth/targetHeight,
+ * the camera follows its center rather than its x and y.
+ */
+export type CameraTarget = {
+  x: number;
+  y: number;
+  getBounds?: () => CameraBounds;
+  targetWidth?: number;
+  targetHeight?: number;
+};
+
+/**
+ * Options for Camera.follow
+ */
+export type FollowOptions = {
+  /**
+   * Size of a box around the center of the screen the target can move in
+   * without the camera moving (default: no deadzone).
+   */
+  deadzone?: { width: number; height: number };
+  /**
+   * How lazily the camera catches up with the target, from 0 (snap to the
+   * target immediately) to 1 (never move). Roughly the fraction of the
+   * remaining distance left after each 1/60th of a second (default: 0).
+   */
+  smoothing?: number;
+};
+
+/**
+ * A 2D transform in the order used by CanvasRenderingContext2D.setTransform:
+ * [a, b, c, d, e, f]
+ */
+export type Transform = [number, number, number, number, number, number];
+
+/**
+ * Camera controls which part of the game world is shown on the canvas.
+ *
+ * Every GameCanvas has a camera (`game.camera`). By default it shows the
+ * world exactly as it would be drawn without a camera, so drawings can keep
+ * using canvas coordinates until you move it.
+ *
+ * `x` and `y` are the world coordinates of the top-left corner of the view
+ * (at zoom 1 with no rotation). Zoom and rotation happen around the center
+ * of the view.
+ *
+ * @example <caption>Follow the player around a large level</caption>
+ * ```typescript
+ * game.camera.bounds = { x: 0, y: 0, width: 3000, height: 600 };
+ * game.camera.follow(playerSprite, {
+ *   deadzone: { width: 100, height: 60 },
+ *   smoothing: 0.85,
+ * });
+ * // Keep the score in place on screen
+ * game.addDrawing(drawScore, { layer: 10 });
+ * game.setLayerOptions(10, { camera: false });
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Camera {
+  /** World x coordinate of the left edge of the view */
+  public x: number = 0;
+  /** World y coordinate of the top edge of the view */
+  public y: number = 0;
+  /** Zoom factor: 2 makes everything twice as big (default: 1) */
+  public zoom: number = 1;
+  /** Rotation of the view in radians (default: 0) */
+  public rotation: number = 0;
+  /** Optional world bounds the view is kept inside */
+  public bounds?: CameraBounds;
+  private target?: CameraTarget;
+  private followOptions: FollowOptions = {};
+  private viewWidth: number = 0;
+  private viewHeight: number = 0;
+
+  /** World x coordinate at the center of the view */
+  get centerX() {
+    return this.x + this.viewWidth / 2;
+  }
+  /** World y coordinate at the center of the view */
+  get centerY() {
+    return this.y + this.viewHeight / 2;
+  }
+
+  /**
+   * Center the view on a world position.
+   */
+  public lookAt(x: number, y: number): this {
+    this.x = x - this.viewWidth / 2;
+    this.y = y - this.viewHeight / 2;
+    this.clampToBounds();
+    return this;
+  }
+
+  /**
+   * Keep the camera centered on a target as it moves.
+   *
+   * @param target - object with x and y (e.g. a Sprite)
+   * @param options - deadzone and smoothing options
+   */
+  public follow(target: CameraTarget, options: FollowOptions = {}): this {
+    this.target = target;
+    this.followOptions = options;
+    return this;
+  }
+
+  /**
+   * Stop following the current target (the camera stays where it is).
+   */
+  public stopFollowing(): this {
+    this.target = undefined;
+    return this;
+  }
+
+  /**
+   * Move the camera toward its follow target and keep it in bounds.
+   * Called by GameCanvas once per frame before drawing.
+   *
+   * @param stepTime - milliseconds since the last frame
+   * @param width - width of the view (canvas)
+   * @param height - height of the view (canvas)
+   */
+  public update(stepTime: number, width: number, height: number) {
+    this.viewWidth = width;
+    this.viewHeight = height;
+    if (this.target) {
+      const { deadzone, smoothing = 0 } = this.followOptions;
+      const box = this.target.getBounds?.();
+      const targetX = box
+        ? box.x + box.width / 2
+        : this.target.x + (this.target.targetWidth ?? 0) / 2;
+      const targetY = box
+        ? box.y + box.height / 2
+        : this.target.y + (this.target.targetHeight ?? 0) / 2;
+      let dx = targetX - this.centerX;
+      let dy = targetY - this.centerY;
+      if (deadzone) {
+        const halfW = deadzone.width / 2 / this.zoom;
+        const halfH = deadzone.height / 2 / this.zoom;
+        dx = dx > halfW ? dx - halfW : dx < -halfW ? dx + halfW : 0;
+        dy = dy > halfH ? dy - halfH : dy < -halfH ? dy + halfH : 0;
+      }
+      const amount =
+        smoothing > 0 ? 1 - Math.pow(smoothing, stepTime / (1000 / 60)) : 1;
+      this.x += dx * amount;
+      this.y += dy * amount;
+    }
+    this.clampToBounds();
+  }
+
+  private clampToBounds() {
+    if (!this.bounds) return;
+    const { x, y, width, height } = this.bounds;
+    const halfW = this.viewWidth / 2 / this.zoom;
+    const halfH = this.viewHeight / 2 / this.zoom;
+    const clamp = (center: number, min: number, size: number, half: number) =>
+      size < half * 2
+        ? min + size / 2
+        : Math.min(Math.max(center, min + half), min + size - half);
+    this.x = clamp(this.centerX, x, width, halfW) - this.viewWidth / 2;
+    this.y = clamp(this.centerY, y, height, halfH) - this.viewHeight / 2;
+  }
+
+  /**
+   * Get the transform that maps world coordinates to screen coordinates.
+   */
+  public getTransform(): Transform {
+    const cos = Math.cos(this.rotation) * this.zoom;
+    const sin = Math.sin(this.rotation) * this.zoom;
+    const cx = this.centerX;
+    const cy = this.centerY;
+    return [
+      cos,
+      -sin,
+      sin,
+      cos,
+      this.viewWidth / 2 - (cos * cx + sin * cy),
+      this.viewHeight / 2 - (-sin * cx + cos * cy),
+    ];
+  }
+
+  /**
+   * Convert a position on screen (canvas coordinates) to world coordinates.
+   */
+  public screenToWorld(x: number, y: number): { x: number; y: number } {
+    const dx = (x - this.viewWidth / 2) / this.zoom;
+    const dy = (y - this.viewHeight / 2) / this.zoom;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    return {
+      x: this.centerX + cos * dx - sin * dy,
+      y: this.centerY + sin * dx + cos * dy,
+    };
+  }
+
+  /**
+   * Convert a world position to a position on screen (canvas coordinates).
+   */
+  public worldToScreen(x: number, y: number): { x: number; y: number } {
+    const [a, b, c, d, e, f] = this.getTransform();
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+  }
+}
@@ -0,0 +1,504 @@
+/** A point or vector */
+export type Point = { x: number; y: number };
+
+/**
+ * Anything the collision helpers understand. Sprites, Shapes and plain
+ * objects all work:
+ * - `{ x, y, radius }` is a circle centered on x, y (like Circle)
+ * - anything with a `getCorners()` method is the polygon it returns (like
+ *   Sprite, so anchor, scale, flipping and pivot are allowed for)
+ * - anything with a `getBounds()` method is that box, rotated by `angle`
+ *   around its center
+ * - `{ x, y, targetWidth, targetHeight }` is a box with its top-left at
+ *   x, y, rotated by `angle` around its center
+ * - `{ x, y, width, height }` is a box with its top-left at x, y, rotated
+ *   by `rotation` around its center (like Rect)
+ * - `{ x, y, points }` is a polygon whose points are relative to x, y,
+ *   rotated by `rotation` around x, y (like Polygon)
+ */
+export type Collidable =
+  | { x: number; y: number; radius: number }
+  | { getCorners(): Point[] }
+  | { getBounds(): Bounds; angle?: number }
+  | {
+      x: number;
+      y: number;
+      targetWidth: number;
+      targetHeight: number;
+      angle?: number;
+    }
+  | { x: number; y: number; width: number; height: number; rotation?: number }
+  | { x?: number; y?: number; points: Point[]; rotation?: number };
+
+/** A box in the same coordinates as the shapes (top-left corner and size) */
+export type Bounds = { x: number; y: number; width: number; height: number };
+
+/**
+ * The result of a raycast.
+ */
+export type RaycastHit<T> = {
+  /** The thing that was hit */
+  target: T;
+  /** Where the ray hit it */
+  x: number;
+  y: number;
+  /** How far along the ray the hit was */
+  distance: number;
+  /** Unit vector pointing out of the surface that was hit */
+  normal: Point;
+};
+
+/** A shape reduced to either a circle or a polygon in world coordinates */
+type Resolved =
+  | { type: "circle"; x: number; y: number; radius: number }
+  | { type: "polygon"; points: Point[] };
+
+function rotate(points: Point[], angle: number, cx: number, cy: number) {
+  if (!angle) return points;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map((p) => ({
+    x: cx + (p.x - cx) * cos - (p.y - cy) * sin,
+    y: cy + (p.x - cx) * sin + (p.y - cy) * cos,
+  }));
+}
+
+function resolve(shape: Collidable): Resolved {
+  const s = shape as any;
+  if (typeof s.radius === "number") {
+    return { type: "circle", x: s.x, y: s.y, radius: s.radius };
+  }
+  if (typeof s.getCorners === "function") {
+    return { type: "polygon", points: s.getCorners() };
+  }
+  if (Array.isArray(s.points)) {
+    const x = s.x ?? 0;
+    const y = s.y ?? 0;
+    const points = s.points.map((p: Point) => ({ x: x + p.x, y: y + p.y }));
+    return { type: "polygon", points: rotate(points, s.rotation, x, y) };
+  }
+  const box: Bounds | undefined =
+    typeof s.getBounds === "function" ? s.getBounds() : undefined;
+  const x = box?.x ?? s.x;
+  const y = box?.y ?? s.y;
+  const width = box?.width ?? s.targetWidth ?? s.width;
+  const height = box?.height ?? s.targetHeight ?? s.height;
+  if (typeof width !== "number" || typeof height !== "number") {
+    throw new Error(
+      `Cannot check collisions for ${JSON.stringify(
+        shape
+      )}: it needs a radius, points, or a width and height (or targetWidth and targetHeight)`
+    );
+  }
+  const corners = [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ];
+  return {
+    type: "polygon",
+    points: rotate(
+      corners,
+      s.angle ?? s.rotation,
+      x + width / 2,
+      y + height / 2
+    ),
+  };
+}
+
+/**
+ * Get the (unrotated) box around a shape.
+ */
+export function getBounds(shape: Collidable): Bounds {
+  const r = resolve(shape);
+  if (r.type === "circle") {
+    return {
+      x: r.x - r.radius,
+      y: r.y - r.radius,
+      width: r.radius * 2,
+      height: r.radius * 2,
+    };
+  }
+  const xs = r.points.map((p) => p.x);
+  const ys = r.points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function project(r: Resolved, axis: Point) {
+  if (r.type === "circle") {
+    const center = r.x * axis.x + r.y * axis.y;
+    return { min: center - r.radius, max: center + r.radius };
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of r.points) {
+    const d = p.x * axis.x + p.y * axis.y;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return { min, max };
+}
+
+/** Scale a vector to length 1 (circles project by radius, so axes must be unit length) */
+function normalize({ x, y }: Point): Point {
+  const length = Math.hypot(x, y);
+  return length ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+}
+
+function getAxes(r: Resolved, other: Resolved): Point[] {
+  if (r.type === "polygon") {
+    return r.points.map((p, i) => {
+      const q = r.points[(i + 1) % r.points.length];
+      return normalize({ x: -(q.y - p.y), y: q.x - p.x });
+    });
+  }
+  if (other.type === "polygon") {
+    // A circle against a polygon also needs the axis toward the
+    // polygon's nearest corner.
+    let nearest = other.points[0];
+    let best = Infinity;
+    for (const p of other.points) {
+      const d = (p.x - r.x) ** 2 + (p.y - r.y) ** 2;
+      if (d < best) {
+        best = d;
+        nearest = p;
+      }
+    }
+    return [normalize({ x: nearest.x - r.x, y: nearest.y - r.y })];
+  }
+  return [];
+}
+
+/**
+ * Do two shapes overlap? Works for any mix of circles, boxes (rotated or
+ * not) and convex polygons, using the separating axis theorem.
+ *
+ * @example <caption>Lose a life when the player touches an enemy</caption>
+ * ```typescript
+ * game.addUpdate(() => {
+ *   for (const enemy of enemies) {
+ *     if (overlaps(playerSprite, enemy)) loseLife();
+ *   }
+ * });
+ * ```
+ */
+export function overlaps(a: Collidable, b: Collidable): boolean {
+  const ra = resolve(a);
+  const rb = resolve(b);
+  if (ra.type === "circle" && rb.type === "circle") {
+    return (
+      (ra.x - rb.x) ** 2 + (ra.y - rb.y) ** 2 < (ra.radius + rb.radius) ** 2
+    );
+  }
+  for (const axis of [...getAxes(ra, rb), ...getAxes(rb, ra)]) {
+    if (axis.x === 0 && axis.y === 0) continue;
+    const pa = project(ra, axis);
+    const pb = project(rb, axis);
+    if (pa.max <= pb.min || pb.max <= pa.min) return false;
+  }
+  return true;
+}
+
+/**
+ * Is the point inside the shape? (Polygons may be concave.)
+ */
+export function containsPoint(
+  shape: Collidable,
+  x: number,
+  y: number
+): boolean {
+  const r = resolve(shape);
+  if (r.type === "circle") {
+    return (x - r.x) ** 2 + (y - r.y) ** 2 <= r.radius ** 2;
+  }
+  // Count how many edges a ray going right from the point crosses.
+  let inside = false;
+  const points = r.points;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (
+      a.y > y !== b.y > y &&
+      x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Find where two line segments cross.
+ *
+ * @returns the crossing point, or undefined if they don't cross
+ */
+export function segmentIntersection(
+  a1: Point,
+  a2: Point,
+  b1: Point,
+  b2: Point
+): Point | undefined {
+  const t = segmentFraction(a1, a2, b1, b2);
+  if (t === undefined) return;
+  return { x: a1.x + (a2.x - a1.x) * t, y: a1.y + (a2.y - a1.y) * t };
+}
+
+/**
+ * How far along a1-a2 (0 to 1) it crosses b1-b2, or undefined if it doesn't.
+ */
+function segmentFraction(a1: Point, a2: Point, b1: Point, b2: Point) {
+  const dax = a2.x - a1.x;
+  const day = a2.y - a1.y;
+  const dbx = b2.x - b1.x;
+  const dby = b2.y - b1.y;
+  const denominator = dax * dby - day * dbx;
+  if (denominator === 0) return; // parallel
+  const t = ((b1.x - a1.x) * dby - (b1.y - a1.y) * dbx) / denominator;
+  const u = ((b1.x - a1.x) * day - (b1.y - a1.y) * dax) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return;
+  return t;
+}
+
+/**
+ * Find the first shape a ray hits, e.g. for line of sight or a laser.
+ *
+ * @param origin - where the ray starts
+ * @param direction - which way it goes (any length)
+ * @param targets - the shapes to check
+ * @param maxDistance - how far the ray reaches (default: 10000)
+ * @returns the nearest hit, or undefined if the ray hits nothing
+ *
+ * @example <caption>Can the guard see the player?</caption>
+ * ```typescript
+ * const hit = raycast(guard, { x: player.x - guard.x, y: player.y - guard.y }, [...walls, player]);
+ * if (hit?.target === player) soundAlarm();
+ * ```
+ */
+export function raycast<T extends Collidable>(
+  origin: Point,
+  direction: Point,
+  targets: T[],
+  maxDistance: number = 10000
+): RaycastHit<T> | undefined {
+  const length = Math.hypot(direction.x, direction.y);
+  if (length === 0) return;
+  const dx = direction.x / length;
+  const dy = direction.y / length;
+  const end = {
+    x: origin.x + dx * maxDistance,
+    y: origin.y + dy * maxDistance,
+  };
+  let best: RaycastHit<T> | undefined;
+  for (const target of targets) {
+    const r = resolve(target);
+    let distance: number | undefined;
+    let normal: Point = { x: 0, y: 0 };
+    if (containsPoint(target, origin.x, origin.y)) {
+      distance = 0;
+    } else if (r.type === "circle") {
+      // Solve |origin + d * t - center| = radius for the nearest t.
+      const ox = origin.x - r.x;
+      const oy = origin.y - r.y;
+      const b = ox * dx + oy * dy;
+      const c = ox * ox + oy * oy - r.radius * r.radius;
+      const discriminant = b * b - c;
+      if (discriminant >= 0) {
+        const t = -b - Math.sqrt(discriminant);
+        if (t >= 0 && t <= maxDistance) {
+          distance = t;
+          normal = {
+            x: (ox + dx * t) / r.radius,
+            y: (oy + dy * t) / r.radius,
+          };
+        }
+      }
+    } else {
+      r.points.forEach((p, i) => {
+        const q = r.points[(i + 1) % r.points.length];
+        const t = segmentFraction(origin, end, p, q);
+        if (
+          t !== undefined &&
+          (distance === undefined || t * maxDistance < distance)
+        ) {
+          distance = t * maxDistance;
+          const edgeLength = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+          normal = {
+            x: (q.y - p.y) / edgeLength,
+            y: -(q.x - p.x) / edgeLength,
+          };
+          // Point the normal back toward the ray.
+          if (normal.x * dx + normal.y * dy > 0) {
+            normal = { x: -normal.x, y: -normal.y };
+          }
+        }
+      });
+    }
+    if (distance !== undefined && (!best || distance < best.distance)) {
+      best = {
+        target,
+        x: origin.x + dx * distance,
+        y: origin.y + dy * distance,
+        distance,
+        normal,
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * A SpatialHash sorts shapes into a grid of cells so you can quickly find
+ * the ones near a point, instead of checking every shape in the game.
+ *
+ * Call update(item) after an item moves (or clear and re-insert
+ * everything each update if most things move).
+ *
+ * @example <caption>Check bullets against hundreds of enemies</caption>
+ * ```typescript
+ * const grid = new SpatialHash(64);
+ * enemies.forEach((enemy) => grid.insert(enemy));
+ * game.addUpdate(() => {
+ *   enemies.forEach((enemy) => grid.update(enemy));
+ *   for (const bullet of bullets) {
+ *     for (const enemy of grid.findOverlaps(bullet)) enemy.hit();
+ *   }
+ * });
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class SpatialHash<T extends Collidable> {
+  private cellSize: number;
+  private cells = new Map<string, Set<T>>();
+  private itemCells = new Map<T, string[]>();
+
+  /**
+   * @param cellSize - width and height of each cell; about the size of a
+   *   typical shape works well (default: 64)
+   */
+  constructor(cellSize: number = 64) {
+    if (!(cellSize > 0)) {
+      throw new Error(
+        `SpatialHash cellSize must be a positive number. Received ${cellSize}`
+      );
+    }
+    this.cellSize = cellSize;
+  }
+
+  private getKeys({ x, y, width, height }: Bounds): string[] {
+    const keys = [];
+    const left = Math.floor(x / this.cellSize);
+    const top = Math.floor(y / this.cellSize);
+    const right = Math.floor((x + width) / this.cellSize);
+    const bottom = Math.floor((y + height) / this.cellSize);
+    for (let cx = left; cx <= right; cx++) {
+      for (let cy = top; cy <= bottom; cy++) {
+        keys.push(`${cx},${cy}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Add a shape to the grid.
+   */
+  public insert(item: T): this {
+    if (this.itemCells.has(item)) return this.update(item);
+    const keys = this.getKeys(getBounds(item));
+    for (const key of keys) {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        this.cells.set(key, cell);
+      }
+      cell.add(item);
+    }
+    this.itemCells.set(item, keys);
+    return this;
+  }
+
+  /**
+   * Remove a shape from the grid.
+   */
+  public remove(item: T): this {
+    for (const key of this.itemCells.get(item) ?? []) {
+      const cell = this.cells.get(key)!;
+      cell.delete(item);
+      if (!cell.size) this.cells.delete(key);
+    }
+    this.itemCells.delete(item);
+    return this;
+  }
+
+  /**
+   * Move a shape to the right cells after it has moved.
+   */
+  public update(item: T): this {
+    this.remove(item);
+    return this.insert(item);
+  }
+
+  /**
+   * Remove every shape.
+   */
+  public clear(): this {
+    this.cells.clear();
+    this.itemCells.clear();
+    return this;
+  }
+
+  /**
+   * Get every shape whose bounding box overlaps a box.
+   */
+  public query(x: number, y: number, width: number, height: number): T[] {
+    const area = { x, y, width, height };
+    const found = new Set<T>();
+    for (const key of this.getKeys(area)) {
+      for (const item of this.cells.get(key) ?? []) {
+        if (!found.has(item) && boundsOverlap(getBounds(item), area)) {
+          found.add(item);
+        }
+      }
+    }
+    return [...found];
+  }
+
+  /**
+   * Get every shape containing a point.
+   */
+  public queryPoint(x: number, y: number): T[] {
+    return this.query(x, y, 0, 0).filter((item) => containsPoint(item, x, y));
+  }
+
+  /**
+   * Get every shape within a distance of a point.
+   */
+  public queryRadius(x: number, y: number, radius: number): T[] {
+    const circle = { x, y, radius };
+    return this.query(x - radius, y - radius, radius * 2, radius * 2).filter(
+      (item) => overlaps(item, circle)
+    );
+  }
+
+  /**
+   * Get every shape in the grid that overlaps a shape (other than itself).
+   */
+  public findOverlaps(shape: Collidable): T[] {
+    const { x, y, width, height } = getBounds(shape);
+    return this.query(x, y, width, height).filter(
+      (item) => item !== shape && overlaps(item, shape)
+    );
+  }
+}
+
+function boundsOverlap(a: Bounds, b: Bounds) {
+  return (
+    a.x <= b.x + b.width &&
+    b.x <= a.x + a.width &&
+    a.y <= b.y + b.height &&
+    b.y <= a.y + a.height
+  );
+}
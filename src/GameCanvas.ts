@@ -1,4 +1,98 @@
-import { Size, DrawingParams, Drawer, DrawingCallback } from "./types";
+import {
+  Size,
+  DrawingParams,
+  Drawer,
+  DrawingCallback,
+  DrawingOptions,
+  DragCallbackArgs,
+  EventCallbackArgs,
+  Hittable,
+  InteractiveTarget,
+  LayerOptions,
+  PointerCallbackArgs,
+  PointerInfo,
+  UpdateCallback,
+  WheelCallbackArgs,
+  Updater,
+} from "./types";
+import { Camera } from "./Camera";
+import { Keyboard } from "./Keyboard";
+import { Input, InputBindings } from "./Input";
+import { Gamepads, GamepadSource, GamepadState } from "./Gamepads";
+import { Tween, Timeline, TweenOptions } from "./Tween";
+import { Timer } from "./Timer";
+import { AssetLoader, AssetManifest, LoadedAssets } from "./AssetLoader";
+
+/** Internal record for a drawing registered with addDrawing. */
+type DrawingEntry = {
+  id: number;
+  d: Drawer | DrawingCallback;
+  layer: number;
+  zIndex: number;
+  /** Tie-breaker within a zIndex: insertion order, adjusted by moveToFront/moveToBack */
+  order: number;
+  startTime?: number;
+  lastTime?: number;
+};
+
+/**
+ * Configuration for GameCanvas
+ */
+export interface GameCanvasConfig {
+  /** Size for canvas. Otherwise size is taken from explicitly set width/height OR from the element's size on the page. */
+  size?: Size;
+  /** Whether to resize the game canvas to the DOM canvas automatically (defaults to true unless size is given) */
+  autoresize?: boolean;
+  /** Number of fixed-timestep updates to run per second (default: 60) */
+  updateRate?: number;
+  /**
+   * Maximum number of updates to run in a single frame (default: 5).
+   * If a frame takes longer than this (e.g. the tab was in the background),
+   * the extra time is dropped rather than trying to catch up, so timers,
+   * tweens and animations don't jump ahead either.
+   */
+  maxUpdatesPerFrame?: number;
+  /** How fast game time runs: 0.5 is slow motion, 2 is double speed (default: 1) */
+  timeScale?: number;
+  /**
+   * Canvas pixels per CSS pixel (default: window.devicePixelRatio, updated
+   * when the window moves to a different screen). Use 1 to draw fewer
+   * pixels on slow devices.
+   */
+  pixelRatio?: number;
+  /**
+   * For pixel-art games: draw at the logical size (e.g. 320x180) with no
+   * image smoothing, and show it as large as the canvas's parent element
+   * allows using only whole-number scales, leaving the rest of the parent
+   * empty. Implies autoresize: false and ignores pixelRatio.
+   */
+  pixelArt?: boolean;
+  /**
+   * If true, touches also fire mousedown, mousemove, mouseup and click
+   * handlers so mouse-based games work on tablets (default: true).
+   */
+  touchCompat?: boolean;
+  /**
+   * If true, touches on the canvas don't scroll or zoom the page (CSS
+   * `touch-action: none`), so dragging works on tablets (default: false).
+   * Leave it off if the canvas is part of a page people need to scroll.
+   */
+  preventTouchScroll?: boolean;
+  /** If true, right-clicking the canvas doesn't open the browser's menu (default: false) */
+  preventContextMenu?: boolean;
+  /**
+   * Stop the browser acting on keys pressed while the canvas has focus:
+   * true for arrow keys, space, page up/down, home and end (so they don't
+   * scroll the page), or a list of keys/codes (default: false).
+   */
+  captureKeys?: boolean | string[];
+  /** Initial action and axis bindings for `game.input` (see {@link Input}) */
+  inputBindings?: InputBindings;
+  /** How far a gamepad stick must move (0-1) before it counts (default: 0.15) */
+  gamepadDeadzone?: number;
+  /** Where to read gamepads from instead of navigator.getGamepads (e.g. a fake for tests) */
+  getGamepads?: GamepadSource;
+}
 
 /**
  * GameCanvas sets up a canvas for creating a simple game in.
@@ -65,20 +159,103 @@ import { Size, DrawingParams, Drawer, DrawingCallback } from "./types";
  * game.run(); // run the game!
  * ```
  *
+ * @example <caption>Move a ball with a fixed-timestep update, keeping drawing render-only.</caption>
+ * ```typescript
+ * const game = new GameCanvas('game', { updateRate: 60 });
+ * const ball = { x: 0, y: 100, prevX: 0, vx: 120 };
+ * game.addUpdate(({ stepTime }) => {
+ *     ball.prevX = ball.x;
+ *     ball.x += ball.vx * stepTime / 1000; // same result at any frame rate
+ * });
+ * game.addDrawing(({ ctx, alpha }) => {
+ *     // interpolate between the last two update states for smooth motion
+ *     const x = ball.prevX + (ball.x - ball.prevX) * alpha;
+ *     ctx.fillRect(x, ball.y, 20, 20);
+ * });
+ * game.run();
+ * ```
+ *
+ * @example <caption>Scroll a large world with the camera, keeping the HUD fixed.</caption>
+ * ```typescript
+ * const game = new GameCanvas('game');
+ * game.addDrawing(drawLevel); // drawn in world coordinates
+ * game.addDrawing(drawScore, { layer: 10 });
+ * game.setLayerOptions(10, { camera: false }); // drawn in screen coordinates
+ * game.camera.follow(player);
+ * game.addClickHandler(({ worldX, worldY }) => {
+ *     player.walkTo(worldX, worldY);
+ * });
+ * game.run();
+ * ```
+ *
  * @memberof SimpleCanvas
  */
 export class GameCanvas {
+  /** The camera that controls which part of the world is drawn. See {@link Camera}. */
+  public readonly camera: Camera;
+  /** Which keys are held down. See {@link Keyboard}. */
+  public readonly keys: Keyboard;
+  /** Connected game controllers, polled each tick. See {@link Gamepads}. */
+  public readonly gamepads: Gamepads;
+  /** Named actions and axes mapped to keys, mouse and gamepad. See {@link Input}. */
+  public readonly input: Input;
+  /** Loads and caches images, sounds and other files. See {@link AssetLoader}. */
+  public readonly assets: AssetLoader;
   private canvas: HTMLCanvasElement;
   private ctx: CanvasRenderingContext2D;
   private width!: number; // Initialized in setInitialCanvasSize called from constructor
   private height!: number; // Initialized in setInitialCanvasSize called from constructor
-  private drawings: Array<
-    | ((params: DrawingParams) => void)
-    | { draw: (params: DrawingParams) => void }
-  >;
-  private drawingMetadata: Array<any>;
-  private handlers: { [key: string]: Array<Function> };
+  private drawings: Map<number, DrawingEntry>;
+  /** Drawings removed with `{ keep: true }` so restoreDrawing can bring them back */
+  private keptDrawings: Map<number, DrawingEntry>;
+  /** Drawings in draw order; rebuilt lazily whenever ordering changes */
+  private sortedDrawings?: DrawingEntry[];
+  private nextDrawingId: number = 0;
+  private frontOrder: number = 0;
+  private backOrder: number = 0;
+  private layerOptions: Map<number, LayerOptions>;
+  /** CSS border + padding around the canvas bitmap, refreshed on resize */
+  private canvasInsets = { left: 0, top: 0, right: 0, bottom: 0 };
+  /** Event handlers by event type, then by handler ID */
+  private handlers: { [key: string]: Map<number, Function> };
+  private nextHandlerId: number = 0;
   private autoresize: boolean;
+  /** Pointers (mouse, pen or fingers) currently pressed on the canvas */
+  private pointers: Map<number, PointerInfo>;
+  private touchCompat: boolean;
+  /** When we last synthesized mouse events from a touch (see touchCompat) */
+  private lastTouchTime: number = -Infinity;
+  /** IDs of pointers that started a drag (primary button or touch) */
+  private dragging: Set<number>;
+  /** The shape the mouse is over, for onhover */
+  private hoverTarget?: InteractiveTarget;
+  /** Shapes being dragged, by pointer ID, for ondrag */
+  private dragTargets: Map<
+    number,
+    { target: InteractiveTarget; useCamera: boolean }
+  >;
+  private updates: Map<
+    number,
+    { u: UpdateCallback | Updater; elapsed: number }
+  >;
+  private nextUpdateId: number = 0;
+  /** Tweens and timelines, advanced each frame */
+  private tweens: Set<Tween | Timeline>;
+  /** Timers from after and every, advanced each frame */
+  private timers: Set<Timer>;
+  private updateStep: number;
+  private maxUpdatesPerFrame: number;
+  private accumulator: number = 0;
+  private alpha: number = 0;
+  private lastTickTime?: number;
+  private timeScale: number;
+  /** Milliseconds of game time (scaled by timeScale) since the game started */
+  private gameTime: number = 0;
+  /** Canvas pixels per logical pixel; width and height stay logical */
+  private pixelRatio: number;
+  private pixelArt: boolean;
+  /** Watches the parent element in pixelArt mode */
+  private parentObserver?: ResizeObserver;
   private animationFrameId?: number;
   private isRunning: boolean = false;
 
@@ -89,11 +266,20 @@ export class GameCanvas {
    * @param config - Optional configuration object
    * @param config.size - Optional size for canvas. Otherwise size is taken from explicitly set width/height OR from the element's size on the page.
    * @param config.autoresize - Whether to resize the game canvas to the DOM canvas automatically (defaults to true)
+   * @param config.updateRate - Number of fixed-timestep updates per second (default: 60)
+   * @param config.maxUpdatesPerFrame - Maximum updates to catch up on in a single frame (default: 5)
+   * @param config.timeScale - How fast game time runs, e.g. 0.5 for slow motion (default: 1)
+   * @param config.pixelRatio - Canvas pixels per CSS pixel (default: window.devicePixelRatio)
+   * @param config.pixelArt - Draw at low resolution without smoothing, scaled up by whole numbers (default: false)
+   * @param config.touchCompat - Whether touches also fire mouse and click handlers (default: true)
+   * @param config.preventTouchScroll - Whether to stop touches on the canvas scrolling the page (default: false)
+   * @param config.preventContextMenu - Whether to stop right-clicks opening the browser's menu (default: false)
+   * @param config.captureKeys - Keys the browser should not act on, e.g. true to stop arrows scrolling the page (default: false)
+   * @param config.inputBindings - Initial action and axis bindings for game.input
+   * @param config.gamepadDeadzone - How far a gamepad stick must move before it counts (default: 0.15)
+   * @param config.getGamepads - Where to read gamepads from instead of navigator.getGamepads
    */
-  constructor(
-    id: string | HTMLCanvasElement,
-    config: { size?: Size; autoresize?: boolean } = {}
-  ) {
+  constructor(id: string | HTMLCanvasElement, config: GameCanvasConfig = {}) {
     if (!id) {
       throw new Error(
         'GameCanvas must be called with the ID of a canvas, like this\n\nconst game=new GameCanvas("mycanvasid")'
@@ -107,67 +293,487 @@ export class GameCanvas {
       throw new Error("No canvas element found at ID=" + id);
     }
     this.ctx = this.canvas.getContext("2d")!;
-    this.drawings = [];
-    this.drawingMetadata = [];
-    this.handlers = { resize: [] };
-    this.autoresize = config.autoresize ?? !config.size;
+    this.drawings = new Map();
+    this.keptDrawings = new Map();
+    this.layerOptions = new Map();
+    this.handlers = {
+      resize: new Map(),
+      gamepadconnected: new Map(),
+      gamepaddisconnected: new Map(),
+    };
+    this.pointers = new Map();
+    this.dragging = new Set();
+    this.dragTargets = new Map();
+    this.touchCompat = config.touchCompat ?? true;
+    this.updates = new Map();
+    this.tweens = new Set();
+    this.timers = new Set();
+    this.updateStep = 1000 / (config.updateRate ?? 60);
+    this.maxUpdatesPerFrame = config.maxUpdatesPerFrame ?? 5;
+    this.timeScale = config.timeScale ?? 1;
+    this.pixelArt = config.pixelArt ?? false;
+    if (this.pixelArt && config.autoresize) {
+      console.log(
+        "WARNING: pixelArt keeps the canvas at a fixed size, so autoresize is ignored."
+      );
+    }
+    this.autoresize = !this.pixelArt && (config.autoresize ?? !config.size);
+    this.pixelRatio = this.pixelArt
+      ? 1
+      : config.pixelRatio ?? window.devicePixelRatio ?? 1;
     this.setInitialCanvasSize(config.size);
-    this.setupHandlers();
+    if (this.pixelArt || config.pixelRatio === undefined) {
+      this.watchPixelRatio();
+    }
+    this.camera = new Camera();
+    this.camera.update(0, this.width, this.height);
+    this.keys = new Keyboard(config.captureKeys);
+    this.gamepads = new Gamepads(config.gamepadDeadzone, config.getGamepads);
+    this.input = new Input(this.keys, this.gamepads, config.inputBindings);
+    this.assets = new AssetLoader();
+    this.setupHandlers(config.preventContextMenu ?? false);
+    if (config.preventTouchScroll) {
+      this.canvas.style.touchAction = "none";
+    }
   }
 
   private setInitialCanvasSize(size?: Size) {
     if (size?.width) {
-      this.canvas.width = size.width;
       this.width = size.width;
     } else if (this.canvas.getAttribute("width")) {
       this.width = this.canvas.width;
     } else {
       this.width = this.canvas.clientWidth;
-      this.canvas.width = this.width;
     }
     if (size?.height) {
-      this.canvas.height = size.height;
       this.height = size.height;
     } else if (this.canvas.getAttribute("height")) {
       this.height = this.canvas.height;
     } else {
       this.height = this.canvas.clientHeight;
-      this.canvas.height = this.height;
     }
+    this.sizeBackingStore();
+  }
+
+  /**
+   * Size the canvas bitmap to our logical size times the pixel ratio.
+   *
+   * If nothing on the page sets the canvas's CSS size, the bitmap decides
+   * how big it looks, so we pin the CSS size to the logical size to keep a
+   * 2x bitmap from showing up twice as big.
+   */
+  private sizeBackingStore() {
+    const before = this.canvas.getBoundingClientRect();
+    this.canvas.width = Math.round(this.width * this.pixelRatio);
+    this.canvas.height = Math.round(this.height * this.pixelRatio);
+    if (this.pixelArt) {
+      this.fitPixelArt();
+      return;
+    }
+    const after = this.canvas.getBoundingClientRect();
+    if (after.width !== before.width) {
+      this.canvas.style.width = `${this.width}px`;
+    }
+    if (after.height !== before.height) {
+      this.canvas.style.height = `${this.height}px`;
+    }
+  }
+
+  /**
+   * Follow devicePixelRatio as the window moves between screens (or the
+   * page is zoomed) so the canvas stays sharp.
+   */
+  private watchPixelRatio() {
+    if (typeof window.matchMedia !== "function") return;
+    const ratio = window.devicePixelRatio || 1;
+    const query = window.matchMedia(`(resolution: ${ratio}dppx)`);
+    query.addEventListener(
+      "change",
+      () => {
+        if (!this.pixelArt) this.pixelRatio = window.devicePixelRatio || 1;
+        this.sizeBackingStore();
+        this.watchPixelRatio();
+      },
+      { once: true }
+    );
   }
 
-  private setupHandlers() {
-    const events = [
+  /**
+   * Show a pixelArt canvas at the largest whole-number scale that fits its
+   * parent. The scale is counted in screen pixels rather than CSS pixels,
+   * so every game pixel covers the same number of screen pixels even when
+   * devicePixelRatio is 1.5 or 1.25.
+   */
+  private fitPixelArt() {
+    this.canvas.style.imageRendering = "pixelated";
+    const parent = this.canvas.parentElement;
+    if (!parent) return;
+    const style = getComputedStyle(parent);
+    const px = (value: string) => parseFloat(value) || 0;
+    this.measureCanvasInsets();
+    const insets = this.canvasInsets;
+    const availableWidth =
+      parent.clientWidth -
+      px(style.paddingLeft) -
+      px(style.paddingRight) -
+      insets.left -
+      insets.right;
+    const availableHeight =
+      parent.clientHeight -
+      px(style.paddingTop) -
+      px(style.paddingBottom) -
+      insets.top -
+      insets.bottom;
+    const ratio = window.devicePixelRatio || 1;
+    const scale = Math.max(
+      1,
+      Math.floor(
+        Math.min(
+          (availableWidth * ratio) / this.width,
+          (availableHeight * ratio) / this.height
+        )
+      )
+    );
+    this.canvas.style.width = `${(this.width * scale) / ratio}px`;
+    this.canvas.style.height = `${(this.height * scale) / ratio}px`;
+  }
+
+  /**
+   * Refit a pixelArt canvas whenever its parent changes size.
+   */
+  private observeParentResize() {
+    const parent = this.canvas.parentElement;
+    if (this.parentObserver || !parent) return;
+    this.parentObserver = new ResizeObserver(() => this.fitPixelArt());
+    this.parentObserver.observe(parent);
+  }
+
+  private setupHandlers(preventContextMenu: boolean) {
+    const mouseEvents = [
       "click",
       "dblclick",
       "mousedown",
       "mousemove",
       "mouseup",
-      "keyup",
-      "keydown",
-      "keypress",
-    ];
-    for (const eventType of events) {
-      this.handlers[eventType] = [];
-      this.canvas.tabIndex = 1000;
-      this.canvas.addEventListener(eventType, (evt: any) => {
-        const x = evt.offsetX;
-        const y = evt.offsetY;
-        for (const h of this.handlers[eventType]) {
-          const result = h({ x, y, type: eventType, event: evt });
-          if (result) return;
+      "mouseenter",
+      "mouseleave",
+    ] as const;
+    const keyEvents = ["keyup", "keydown", "keypress"] as const;
+    const pointerEvents = [
+      "pointerdown",
+      "pointermove",
+      "pointerup",
+      "pointercancel",
+    ] as const;
+    this.canvas.tabIndex = 1000;
+    for (const eventType of mouseEvents) {
+      this.handlers[eventType] = new Map();
+      this.canvas.addEventListener(eventType, (evt: MouseEvent) => {
+        // The browser follows a touch with its own emulated mouse events;
+        // ignore those when we have already synthesized our own.
+        if (this.touchCompat && evt.timeStamp - this.lastTouchTime < 800) {
+          return;
         }
+        this.dispatch(eventType, {
+          ...this.getEventPosition(evt),
+          type: eventType,
+          event: evt,
+        });
       });
     }
+    this.canvas.addEventListener("keydown", (evt) => {
+      this.keys.handleKeyDown(evt);
+      this.input.handleKeyDown(evt);
+    });
+    this.canvas.addEventListener("keyup", (evt) => this.keys.handleKeyUp(evt));
+    this.canvas.addEventListener("pointerdown", (evt) =>
+      this.input.handleMouseDown(evt.button)
+    );
+    // Listen on the window so we notice buttons released off the canvas.
+    window.addEventListener("pointerup", (evt) =>
+      this.input.handleMouseUp(evt.button)
+    );
+    // We won't hear keyup events once focus moves elsewhere, so release
+    // everything rather than leave keys stuck down.
+    const releaseAll = () => {
+      this.keys.clear();
+      this.input.clear();
+    };
+    this.canvas.addEventListener("blur", releaseAll);
+    window.addEventListener("blur", releaseAll);
+    for (const eventType of keyEvents) {
+      this.handlers[eventType] = new Map();
+      this.canvas.addEventListener(eventType, (evt: KeyboardEvent) => {
+        this.dispatch(eventType, { type: eventType, event: evt });
+      });
+    }
+    for (const eventType of pointerEvents) {
+      this.handlers[eventType] = new Map();
+      this.canvas.addEventListener(eventType, (evt: PointerEvent) =>
+        this.handlePointerEvent(eventType, evt)
+      );
+    }
+    this.handlers.drag = new Map();
+    this.handlers.wheel = new Map();
+    // Not passive, so handlers can call event.preventDefault() to stop the
+    // page scrolling (e.g. when using the wheel to zoom).
+    this.canvas.addEventListener(
+      "wheel",
+      (evt: WheelEvent) => {
+        // Convert line and page scrolling to (approximate) pixels.
+        const scale =
+          evt.deltaMode === 1 ? 16 : evt.deltaMode === 2 ? this.height : 1;
+        this.dispatch("wheel", {
+          ...this.getEventPosition(evt),
+          deltaX: evt.deltaX * scale,
+          deltaY: evt.deltaY * scale,
+          type: "wheel",
+          event: evt,
+        });
+      },
+      { passive: false }
+    );
+    this.handlers.contextmenu = new Map();
+    this.canvas.addEventListener("contextmenu", (evt: MouseEvent) => {
+      if (preventContextMenu) evt.preventDefault();
+      this.dispatch("contextmenu", {
+        ...this.getEventPosition(evt),
+        type: "contextmenu",
+        event: evt,
+      });
+    });
+  }
+
+  /**
+   * Call each handler for eventType in turn until one returns true.
+   */
+  private dispatch(eventType: string, params: any) {
+    if (this.routeToShapes(eventType, params)) return;
+    for (const h of this.handlers[eventType].values()) {
+      const result = h(params);
+      if (result) return;
+    }
+  }
+
+  /**
+   * Find the topmost drawing under the pointer with a target that accepts
+   * the event (e.g. a Shape with an onclick callback).
+   */
+  private findTarget(
+    params: { x: number; y: number; worldX: number; worldY: number },
+    accepts: (target: InteractiveTarget) => boolean
+  ) {
+    const sorted = this.getSortedDrawings();
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const entry = sorted[i];
+      const d = entry.d as Partial<Hittable>;
+      if (typeof d.hitTest !== "function") continue;
+      if (this.drawings.get(entry.id) !== entry) continue;
+      const useCamera = this.usesCamera(entry.layer);
+      const x = useCamera ? params.worldX : params.x;
+      const y = useCamera ? params.worldY : params.y;
+      const target = d.hitTest(x, y, accepts);
+      if (target) return { target, useCamera, x, y };
+    }
+  }
+
+  /**
+   * Call onclick, onhover and ondrag on shapes under the pointer.
+   *
+   * @returns true if a shape callback asked to stop other handlers
+   */
+  private routeToShapes(eventType: string, params: any): boolean {
+    if (eventType === "click") {
+      const hit = this.findTarget(params, (t) => !!t.onclick);
+      if (!hit) return false;
+      return !!hit.target.onclick!({
+        ...hit,
+        type: "click",
+        event: params.event,
+      });
+    }
+    if (eventType === "mousemove" || eventType === "mouseleave") {
+      const hit =
+        eventType === "mousemove"
+          ? this.findTarget(params, (t) => !!t.onhover)
+          : undefined;
+      if (hit?.target !== this.hoverTarget) {
+        const event = { type: "hover", event: params.event };
+        this.hoverTarget?.onhover?.({
+          ...event,
+          x: hit?.x ?? params.x,
+          y: hit?.y ?? params.y,
+          target: this.hoverTarget,
+          hovering: false,
+        });
+        hit?.target.onhover!({ ...event, ...hit, hovering: true });
+        this.hoverTarget = hit?.target;
+      }
+      return false;
+    }
+    if (eventType === "drag") {
+      if (params.phase === "start") {
+        const hit = this.findTarget(params, (t) => !!t.ondrag);
+        if (!hit) return false;
+        this.dragTargets.set(params.pointerId, hit);
+      }
+      const drag = this.dragTargets.get(params.pointerId);
+      if (!drag) return false;
+      if (params.phase === "end") this.dragTargets.delete(params.pointerId);
+      let { x, y, dx, dy } = params;
+      if (drag.useCamera) {
+        // Measure the movement in world coordinates.
+        const last = this.camera.screenToWorld(x - dx, y - dy);
+        x = params.worldX;
+        y = params.worldY;
+        dx = x - last.x;
+        dy = y - last.y;
+      }
+      return !!drag.target.ondrag!({
+        x,
+        y,
+        dx,
+        dy,
+        phase: params.phase,
+        target: drag.target,
+        type: "drag",
+        event: params.event,
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Track active pointers, call pointer handlers, and (in touchCompat mode)
+   * turn touches into mouse handler calls.
+   */
+  private handlePointerEvent(eventType: string, evt: PointerEvent) {
+    const position = this.getEventPosition(evt);
+    const existing = this.pointers.get(evt.pointerId);
+    const info: PointerInfo = {
+      ...position,
+      pointerId: evt.pointerId,
+      pointerType: evt.pointerType,
+      pressure: evt.pressure,
+      isPrimary: evt.isPrimary,
+      startX: existing?.startX ?? position.x,
+      startY: existing?.startY ?? position.y,
+    };
+    if (eventType === "pointerdown") {
+      this.pointers.set(evt.pointerId, info);
+      // Capture the pointer so we keep hearing about it (and can finish a
+      // drag) even if it leaves the canvas.
+      this.canvas.setPointerCapture?.(evt.pointerId);
+    } else if (eventType === "pointermove") {
+      if (existing) this.pointers.set(evt.pointerId, info);
+    } else {
+      this.pointers.delete(evt.pointerId);
+    }
+    this.dispatch(eventType, {
+      ...info,
+      pointers: this.getPointers(),
+      type: eventType,
+      event: evt,
+    });
+    this.handleDrag(eventType, evt, info, existing);
+
+    if (this.touchCompat && evt.pointerType === "touch" && evt.isPrimary) {
+      this.lastTouchTime = evt.timeStamp;
+      const mouseType = {
+        pointerdown: "mousedown",
+        pointermove: "mousemove",
+        pointerup: "mouseup",
+      }[eventType as "pointerdown" | "pointermove" | "pointerup"];
+      if (!mouseType) return;
+      const params = { ...position, event: evt };
+      this.dispatch(mouseType, { ...params, type: mouseType });
+      // Only treat it as a click if the finger didn't slide away.
+      const moved = Math.hypot(info.x - info.startX, info.y - info.startY);
+      if (eventType === "pointerup" && moved < 10) {
+        this.dispatch("click", { ...params, type: "click" });
+      }
+    }
+  }
+
+  /**
+   * Turn pointer events for the primary button (or a finger) into drag
+   * handler calls with start, move and end phases.
+   */
+  private handleDrag(
+    eventType: string,
+    evt: PointerEvent,
+    info: PointerInfo,
+    previous?: PointerInfo
+  ) {
+    let phase: DragCallbackArgs["phase"];
+    if (eventType === "pointerdown") {
+      if (evt.button !== 0) return;
+      this.dragging.add(evt.pointerId);
+      phase = "start";
+    } else if (!this.dragging.has(evt.pointerId)) {
+      return;
+    } else if (eventType === "pointermove") {
+      phase = "move";
+    } else {
+      this.dragging.delete(evt.pointerId);
+      phase = "end";
+    }
+    const start = this.camera.screenToWorld(info.startX, info.startY);
+    this.dispatch("drag", {
+      ...info,
+      phase,
+      startWorldX: start.x,
+      startWorldY: start.y,
+      dx: previous ? info.x - previous.x : 0,
+      dy: previous ? info.y - previous.y : 0,
+      type: "drag",
+      event: evt,
+    });
+  }
+
+  /**
+   * Measure the CSS border and padding around the canvas so pointer
+   * positions can be mapped onto the bitmap.
+   */
+  private measureCanvasInsets() {
+    const style = getComputedStyle(this.canvas);
+    const px = (value: string) => parseFloat(value) || 0;
+    this.canvasInsets = {
+      left: px(style.borderLeftWidth) + px(style.paddingLeft),
+      top: px(style.borderTopWidth) + px(style.paddingTop),
+      right: px(style.borderRightWidth) + px(style.paddingRight),
+      bottom: px(style.borderBottomWidth) + px(style.paddingBottom),
+    };
+  }
+
+  /**
+   * Convert the position of a mouse event to canvas coordinates.
+   *
+   * The canvas may be displayed at a different size than its bitmap (e.g.
+   * with GameInterface's scaleToFit), so we scale from the CSS content box
+   * rather than trusting offsetX/offsetY.
+   */
+  private getEventPosition(evt: { clientX: number; clientY: number }) {
+    const rect = this.canvas.getBoundingClientRect();
+    const insets = this.canvasInsets;
+    const cssX = evt.clientX - rect.left - insets.left;
+    const cssY = evt.clientY - rect.top - insets.top;
+    const cssWidth = rect.width - insets.left - insets.right;
+    const cssHeight = rect.height - insets.top - insets.bottom;
+    const x = cssWidth > 0 ? (cssX * this.width) / cssWidth : cssX;
+    const y = cssHeight > 0 ? (cssY * this.height) / cssHeight : cssY;
+    const world = this.camera.screenToWorld(x, y);
+    return { x, y, cssX, cssY, worldX: world.x, worldY: world.y };
   }
 
   private observeCanvasResize() {
     const ro = new (window as any).ResizeObserver((canvases: any) => {
+      this.measureCanvasInsets();
       for (let cnv of canvases) {
         if (this.autoresize) {
           this.setCanvasSize(cnv.contentRect.width, cnv.contentRect.height);
         }
-        for (const h of this.handlers["resize"]) {
+        for (const h of this.handlers["resize"].values()) {
           let result = h({
             width: cnv.contentRect.width,
             height: cnv.contentRect.height,
@@ -185,71 +791,313 @@ export class GameCanvas {
   private setCanvasSize(w: number, h: number) {
     this.width = w;
     this.height = h;
-    this.canvas.width = w;
-    this.canvas.height = h;
+    this.sizeBackingStore();
+  }
+
+  private usesCamera(layer: number) {
+    return this.layerOptions.get(layer)?.camera !== false;
+  }
+
+  /**
+   * Drawings sorted by layer, then zIndex, then order.
+   */
+  private getSortedDrawings(): DrawingEntry[] {
+    if (!this.sortedDrawings) {
+      this.sortedDrawings = [...this.drawings.values()].sort(
+        (a, b) => a.layer - b.layer || a.zIndex - b.zIndex || a.order - b.order
+      );
+    }
+    return this.sortedDrawings;
   }
 
   private doDrawing(ts: number) {
+    const gameTime = this.gameTime;
+    const r = this.pixelRatio;
+    if (this.pixelArt) this.ctx.imageSmoothingEnabled = false;
+    this.ctx.setTransform(r, 0, 0, r, 0, 0);
     this.ctx.clearRect(0, 0, this.width, this.height);
-    this.drawings.forEach((d, idx) => {
-      const remove = () => {
-        this.drawingMetadata[idx].off = true;
-      };
-      const md = this.drawingMetadata[idx];
-      if (md.off) return;
-      let elapsed;
-      let stepTime = md.__lastTime ? ts - md.__lastTime : 0;
-      md.__lastTime = ts;
-      if (!md.__startTime) {
-        elapsed = 0;
-        md.__startTime = ts;
+    // Scale the camera up to canvas pixels too.
+    const [a, b, c, d, e, f] = this.camera.getTransform();
+    for (const entry of this.getSortedDrawings()) {
+      // A drawing earlier in this frame may have removed this one.
+      if (this.drawings.get(entry.id) !== entry) continue;
+      if (!this.usesCamera(entry.layer)) {
+        this.ctx.setTransform(r, 0, 0, r, 0, 0);
       } else {
-        elapsed = ts - md.__startTime;
+        this.ctx.setTransform(a * r, b * r, c * r, d * r, e * r, f * r);
       }
-      if ((d as any).draw) {
-        (d as any).draw({
-          ctx: this.ctx,
-          width: this.width,
-          height: this.height,
-          remove,
-          timestamp: ts,
-          elapsed,
-          stepTime,
-        });
+      const stepTime =
+        entry.lastTime === undefined ? 0 : gameTime - entry.lastTime;
+      entry.lastTime = gameTime;
+      if (entry.startTime === undefined) {
+        entry.startTime = gameTime;
+      }
+      const params: DrawingParams = {
+        ctx: this.ctx,
+        width: this.width,
+        height: this.height,
+        remove: () => this.deleteDrawing(entry.id),
+        timestamp: ts,
+        elapsed: gameTime - entry.startTime,
+        stepTime,
+        alpha: this.alpha,
+      };
+      if ((entry.d as Drawer).draw) {
+        (entry.d as Drawer).draw(params);
       } else {
-        (d as any)({
-          ctx: this.ctx,
+        (entry.d as DrawingCallback)(params);
+      }
+    }
+  }
+
+  /** Remove a drawing from the draw list, returning its entry if it existed. */
+  private deleteDrawing(id: number): DrawingEntry | undefined {
+    const entry = this.drawings.get(id);
+    if (entry) {
+      this.drawings.delete(id);
+      this.sortedDrawings = undefined;
+    }
+    return entry;
+  }
+
+  /** Look up a drawing by ID, whether it is active or kept after removal. */
+  private getDrawingEntry(id: number, caller: string): DrawingEntry {
+    if (typeof id !== "number") {
+      throw new Error(
+        `${caller} must have a numeric ID as an argument. Received ${typeof id} ${id}`
+      );
+    }
+    const entry = this.drawings.get(id) ?? this.keptDrawings.get(id);
+    if (!entry) {
+      throw new Error(`${caller}: no drawing with ID ${id}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Run as many fixed-size update steps as have accumulated since the last
+   * tick, then record how far we are into the next step (alpha) so drawings
+   * can interpolate.
+   */
+  private doUpdates(frameTime: number) {
+    // Clamp so a long frame (or a backgrounded tab) can't trigger a
+    // spiral of death where we never catch up.
+    this.accumulator = Math.min(
+      this.accumulator + frameTime,
+      this.updateStep * this.maxUpdatesPerFrame
+    );
+    // Count whole steps with a little slack: at 60 updates/s, 50ms is
+    // 2.9999999999999996 steps in floating point, and should be 3.
+    let steps = Math.floor(this.accumulator / this.updateStep + 1e-9);
+    this.accumulator = Math.max(0, this.accumulator - steps * this.updateStep);
+    while (steps-- > 0) {
+      for (const [id, entry] of this.updates) {
+        const params = {
           width: this.width,
           height: this.height,
-          remove,
-          timestamp: ts,
-          elapsed,
-          stepTime,
-        });
+          stepTime: this.updateStep,
+          elapsed: entry.elapsed,
+          remove: () => this.removeUpdate(id),
+        };
+        if ((entry.u as Updater).update) {
+          (entry.u as Updater).update(params);
+        } else {
+          (entry.u as UpdateCallback)(params);
+        }
+        entry.elapsed += this.updateStep;
       }
-    });
+      // Each press is "just pressed" for exactly one update step.
+      if (this.updates.size) this.endInputTick();
+    }
+    this.alpha = this.accumulator / this.updateStep;
+  }
+
+  private advanceTimers(frameTime: number) {
+    for (const timer of this.timers) {
+      if (timer.advance(frameTime)) this.timers.delete(timer);
+    }
+  }
+
+  private advanceTweens(frameTime: number) {
+    for (const tween of this.tweens) {
+      if (tween.advance(frameTime)) this.tweens.delete(tween);
+    }
+  }
+
+  private pollGamepads() {
+    const { connected, disconnected } = this.gamepads.poll();
+    for (const gamepad of connected) {
+      this.dispatch("gamepadconnected", {
+        gamepad,
+        index: gamepad.index,
+        type: "gamepadconnected",
+      });
+    }
+    for (const gamepad of disconnected) {
+      this.dispatch("gamepaddisconnected", {
+        gamepad,
+        index: gamepad.index,
+        type: "gamepaddisconnected",
+      });
+    }
+  }
+
+  /**
+   * Run one frame: updates, timers and tweens move forward by frameTime
+   * milliseconds of game time, then everything is drawn.
+   */
+  private doFrame(now: number, frameTime: number) {
+    this.gameTime += frameTime;
+    this.pollGamepads();
+    this.doUpdates(frameTime);
+    this.advanceTimers(frameTime);
+    this.advanceTweens(frameTime);
+    this.camera.update(frameTime, this.width, this.height);
+    this.doDrawing(now);
+    // Without updates, drawings are where presses get checked.
+    if (!this.updates.size) this.endInputTick();
+  }
+
+  /** Forget justPressed/justReleased once they have been seen. */
+  private endInputTick() {
+    this.input.endFrame();
+    this.keys.endFrame();
+    this.gamepads.endFrame();
   }
 
   private tick = (ts?: number) => {
-    this.doDrawing(ts ?? performance.now());
+    const now = ts ?? performance.now();
+    const frameTime =
+      this.lastTickTime === undefined ? 0 : now - this.lastTickTime;
+    this.lastTickTime = now;
+    // Game time never jumps by more than the updates can catch up on, so
+    // timers, tweens and drawings all see the same bounded step.
+    this.doFrame(
+      now,
+      Math.min(
+        frameTime * this.timeScale,
+        this.updateStep * this.maxUpdatesPerFrame
+      )
+    );
     if (this.isRunning) {
       this.animationFrameId = window.requestAnimationFrame(this.tick);
     }
   };
 
+  /**
+   * Load images, atlases, sounds and fonts before the game starts, drawing
+   * a progress bar on the canvas while they load.
+   *
+   * @example <caption>Load, then run</caption>
+   * ```typescript
+   * game
+   *   .preload({ images: { hero: "hero.png" }, audio: { coin: "coin.wav" } })
+   *   .then((assets) => {
+   *     game.addDrawing(new Sprite({ image: assets.images.hero, frameWidth: 32, frameHeight: 32 }));
+   *     game.addHandler("click", () => assets.audio.coin.play());
+   *     game.run();
+   *   });
+   * ```
+   *
+   * @param manifest - what to load, by name (see {@link AssetManifest})
+   * @param drawProgress - false for no progress bar, or a function to draw your own
+   * @returns the loaded assets; if something fails to load, the error is shown on the canvas and the promise rejects
+   */
+  public async preload(
+    manifest: AssetManifest,
+    drawProgress:
+      | boolean
+      | ((params: {
+          ctx: CanvasRenderingContext2D;
+          width: number;
+          height: number;
+          progress: number;
+        }) => void) = true
+  ): Promise<LoadedAssets> {
+    const draw =
+      drawProgress === true
+        ? this.drawProgressBar.bind(this)
+        : drawProgress || undefined;
+    const clear = () => {
+      const r = this.pixelRatio;
+      this.ctx.setTransform(r, 0, 0, r, 0, 0);
+      this.ctx.clearRect(0, 0, this.width, this.height);
+    };
+    try {
+      const assets = await this.assets.load(manifest, ({ progress }) => {
+        if (!draw) return;
+        clear();
+        draw({
+          ctx: this.ctx,
+          width: this.width,
+          height: this.height,
+          progress,
+        });
+      });
+      if (draw) clear();
+      return assets;
+    } catch (e) {
+      if (draw) {
+        clear();
+        this.ctx.fillStyle = "#c0392b";
+        this.ctx.font = "14px sans-serif";
+        this.ctx.textAlign = "center";
+        this.ctx.fillText(
+          (e as Error).message,
+          this.width / 2,
+          this.height / 2,
+          this.width - 20
+        );
+      }
+      throw e;
+    }
+  }
+
+  private drawProgressBar({
+    ctx,
+    width,
+    height,
+    progress,
+  }: {
+    ctx: CanvasRenderingContext2D;
+    width: number;
+    height: number;
+    progress: number;
+  }) {
+    const barWidth = Math.min(300, width * 0.6);
+    const x = (width - barWidth) / 2;
+    const y = height / 2;
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, barWidth, 12);
+    ctx.fillStyle = "#888";
+    ctx.fillRect(x + 2, y + 2, (barWidth - 4) * progress, 8);
+    ctx.font = "14px sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `Loading... ${Math.round(progress * 100)}%`,
+      width / 2,
+      y - 10
+    );
+  }
+
   /**
    * run the game (start animations, listen for events).
    * @method
    */
   public run() {
+    this.measureCanvasInsets();
     // Only observe and resize if autoresize is true and no fixed size is set
-
     if (this.autoresize) {
       this.observeCanvasResize();
       // When autoresize is enabled, set canvas size to match current client size
       // This ensures CSS sizing is respected from the start
       this.setCanvasSize(this.canvas.clientWidth, this.canvas.clientHeight);
     }
+    if (this.pixelArt) {
+      this.fitPixelArt();
+      this.observeParentResize();
+    }
     this.isRunning = true;
     this.tick();
   }
@@ -260,12 +1108,74 @@ export class GameCanvas {
    */
   public stop() {
     this.isRunning = false;
+    this.lastTickTime = undefined;
     if (this.animationFrameId) {
       window.cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = undefined;
     }
   }
 
+  /**
+   * Advance the game by exactly one update step and draw it. Use this
+   * while the game is stopped to watch what happens frame by frame (e.g.
+   * to find out why two things didn't collide).
+   *
+   * @example <caption>Step through the game with the period key</caption>
+   * ```typescript
+   * game.addHandler("keydown", ({ event }) => {
+   *   if (event.key === "p") game.getIsRunning() ? game.stop() : game.run();
+   *   if (event.key === ".") game.step();
+   * });
+   * ```
+   */
+  public step() {
+    if (this.isRunning) {
+      console.log("WARNING: step() only works while the game is stopped");
+      return;
+    }
+    this.doFrame(performance.now(), this.updateStep);
+  }
+
+  /**
+   * Set how fast game time runs. Updates, timers, tweens, and the elapsed
+   * and stepTime passed to drawings all follow game time.
+   *
+   * @param scale - 1 for normal speed, 0.25 for slow motion, 2 for double speed, 0 to freeze
+   *
+   * @example <caption>Slow motion while space is held</caption>
+   * ```typescript
+   * game.addUpdate(() => {
+   *   game.setTimeScale(game.keys.isDown("Space") ? 0.25 : 1);
+   * });
+   * ```
+   */
+  public setTimeScale(scale: number) {
+    if (!(scale >= 0)) {
+      throw new Error(
+        `setTimeScale requires a number 0 or greater. Received ${scale}`
+      );
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * Get how fast game time runs (1 is normal speed).
+   */
+  public getTimeScale(): number {
+    return this.timeScale;
+  }
+
+  /**
+   * Get the number of canvas pixels per logical pixel. Drawing code works
+   * in logical pixels (the width and height in DrawingParams); this only
+   * matters if you reset the transform yourself, e.g.
+   * `ctx.setTransform(ratio, 0, 0, ratio, 0, 0)` instead of the identity.
+   * Always 1 in pixelArt mode.
+   */
+  public getPixelRatio(): number {
+    return this.pixelRatio;
+  }
+
   /**
    * Check if the game is currently running.
    * @returns Whether the game is running
@@ -277,8 +1187,16 @@ export class GameCanvas {
   /**
    * Add a drawing to our drawing queue (it will remain until we remove it).
    *
+   * Drawings are drawn in order of layer, then zIndex (lower numbers first,
+   * so higher numbers end up on top). Drawings with the same layer and
+   * zIndex are drawn in the order they were added.
+   *
    * @param d - draw function OR an object with a draw callback method
+   * @param options - Optional ordering options
+   * @param options.layer - layer to draw in (default: 0)
+   * @param options.zIndex - order within the layer (default: 0)
    * @returns ID that can be used in removeDrawing callback to remove drawing.
+   *   IDs are never reused, so they stay valid when other drawings are removed.
    *
    * @example <caption>Passing a draw function</caption>
    * ```typescript
@@ -320,56 +1238,331 @@ export class GameCanvas {
    *     }
    * );
    * ```
+   *
+   * @example <caption>Keep a background behind everything else</caption>
+   * ```typescript
+   * game.addDrawing(drawPlayer);
+   * game.addDrawing(drawSky, { layer: -1 });
+   * ```
    */
-  public addDrawing(d: Drawer | DrawingCallback): number {
-    this.drawings.push(d);
-    this.drawingMetadata.push({});
-    return this.drawings.length - 1;
+  public addDrawing(
+    d: Drawer | DrawingCallback,
+    options: DrawingOptions = {}
+  ): number {
+    const id = this.nextDrawingId++;
+    this.drawings.set(id, {
+      id,
+      d,
+      layer: options.layer ?? 0,
+      zIndex: options.zIndex ?? 0,
+      order: this.frontOrder++,
+    });
+    this.sortedDrawings = undefined;
+    return id;
   }
 
   /**
    * Remove a drawing by its ID.
    *
-   * @param idx - drawing ID to remove (return value from addDrawing).
+   * The drawing is discarded completely, freeing its memory, so games can
+   * add and remove as many drawings (bullets, particles...) as they like.
+   * To bring it back later with restoreDrawing, pass `{ keep: true }`.
+   *
+   * @param id - drawing ID to remove (return value from addDrawing).
+   * @param options - Optional removal options
+   * @param options.keep - hold on to the drawing so restoreDrawing can bring it back (default: false)
    */
-  public removeDrawing(idx: number) {
-    if (typeof idx !== "number") {
+  public removeDrawing(id: number, options: { keep?: boolean } = {}) {
+    if (typeof id !== "number") {
       throw new Error(
-        `removeDrawing must have a numeric ID as an argument. Received ${typeof idx} ${idx}`
+        `removeDrawing must have a numeric ID as an argument. Received ${typeof id} ${id}`
       );
     }
-    if (this.drawingMetadata[idx]) {
-      this.drawingMetadata[idx].off = true;
-    } else {
-      console.log("WARNING: Attempt to remove non-existent drawing: %s", idx);
+    const entry = this.deleteDrawing(id);
+    if (!entry) {
+      console.log("WARNING: Attempt to remove non-existent drawing: %s", id);
+    } else if (options.keep) {
+      this.keptDrawings.set(id, entry);
     }
   }
 
   /**
    * Restore a previously removed drawing (start drawing again).
    *
-   * @param idx - drawing ID to restore (start drawing again).
+   * Only drawings removed with `removeDrawing(id, { keep: true })` can be
+   * restored; the rest have been freed. The drawing keeps its ID, layer
+   * and zIndex.
+   *
+   * @example <caption>Hide and show a drawing</caption>
+   * ```typescript
+   * game.removeDrawing(id, { keep: true });
+   * // later...
+   * game.restoreDrawing(id);
+   * ```
+   *
+   * @param id - drawing ID to restore (start drawing again).
    */
-  public restoreDrawing(idx: number) {
-    if (typeof idx !== "number") {
+  public restoreDrawing(id: number) {
+    if (typeof id !== "number") {
       throw new Error(
-        `restoreDrawing must have a numeric ID as an argument. Received ${typeof idx} ${idx}`
+        `restoreDrawing must have a numeric ID as an argument. Received ${typeof id} ${id}`
+      );
+    }
+    const entry = this.keptDrawings.get(id);
+    if (entry) {
+      this.keptDrawings.delete(id);
+      this.drawings.set(id, entry);
+      this.sortedDrawings = undefined;
+    } else if (!this.drawings.has(id)) {
+      console.log(
+        "WARNING: Cannot restore drawing %s: it was not removed with { keep: true }",
+        id
       );
     }
-    this.drawingMetadata[idx].off = false;
   }
 
   /**
-   * Replace a drawing by id
+   * Replace a drawing by id (the new drawing keeps the ID, layer and zIndex).
    */
-  public replaceDrawing(
-    idx: number,
-    f:
-      | ((params: DrawingParams) => void)
-      | { draw: (params: DrawingParams) => void }
-  ) {
-    this.drawings[idx] = f;
-    return idx;
+  public replaceDrawing(id: number, f: Drawer | DrawingCallback) {
+    this.getDrawingEntry(id, "replaceDrawing").d = f;
+    return id;
+  }
+
+  /**
+   * Move a drawing in front of every other drawing in its layer.
+   *
+   * @param id - drawing ID (return value from addDrawing).
+   */
+  public moveToFront(id: number) {
+    const entry = this.getDrawingEntry(id, "moveToFront");
+    let zIndex = entry.zIndex;
+    for (const other of this.drawings.values()) {
+      if (other.layer === entry.layer) zIndex = Math.max(zIndex, other.zIndex);
+    }
+    entry.zIndex = zIndex;
+    entry.order = this.frontOrder++;
+    this.sortedDrawings = undefined;
+  }
+
+  /**
+   * Move a drawing behind every other drawing in its layer.
+   *
+   * @param id - drawing ID (return value from addDrawing).
+   */
+  public moveToBack(id: number) {
+    const entry = this.getDrawingEntry(id, "moveToBack");
+    let zIndex = entry.zIndex;
+    for (const other of this.drawings.values()) {
+      if (other.layer === entry.layer) zIndex = Math.min(zIndex, other.zIndex);
+    }
+    entry.zIndex = zIndex;
+    entry.order = --this.backOrder;
+    this.sortedDrawings = undefined;
+  }
+
+  /**
+   * Change the layer and/or zIndex of a drawing.
+   *
+   * @param id - drawing ID (return value from addDrawing).
+   * @param options - new layer and/or zIndex
+   */
+  public setDrawingOrder(id: number, options: DrawingOptions) {
+    const entry = this.getDrawingEntry(id, "setDrawingOrder");
+    entry.layer = options.layer ?? entry.layer;
+    entry.zIndex = options.zIndex ?? entry.zIndex;
+    this.sortedDrawings = undefined;
+  }
+
+  /**
+   * Add an update to our update queue (it will remain until we remove it).
+   *
+   * Updates run at a fixed rate (see `updateRate`), independent of how often
+   * the screen is redrawn, so game logic such as physics behaves the same on
+   * every computer. Keep drawing code in addDrawing and game logic here.
+   *
+   * @param u - update function OR an object with an update callback method
+   * @returns ID that can be used in removeUpdate to remove the update.
+   *
+   * @example <caption>Apply gravity 60 times a second</caption>
+   * ```typescript
+   * game.addUpdate(
+   *     function ({stepTime}) {
+   *         const seconds = stepTime / 1000;
+   *         ball.vy += 200 * seconds;
+   *         ball.y += ball.vy * seconds;
+   *     }
+   * );
+   * ```
+   */
+  public addUpdate(u: Updater | UpdateCallback): number {
+    if (typeof u !== "function" && typeof u?.update !== "function") {
+      throw new Error(
+        `addUpdate requires a function or an object with an update method. Received ${typeof u} ${u}`
+      );
+    }
+    const id = this.nextUpdateId++;
+    this.updates.set(id, { u, elapsed: 0 });
+    return id;
+  }
+
+  /**
+   * Remove an update by its ID.
+   *
+   * @param id - update ID to remove (return value from addUpdate).
+   */
+  public removeUpdate(id: number) {
+    if (!this.updates.delete(id)) {
+      console.log("WARNING: Attempt to remove non-existent update: %s", id);
+    }
+  }
+
+  /**
+   * Animate numeric properties of an object from their current values to
+   * new ones.
+   *
+   * Tweens advance with the game loop, so they pause when the game stops.
+   * The returned Tween can be awaited, paused or cancelled.
+   *
+   * @param target - the object to change (e.g. a Sprite or Shape)
+   * @param props - the values to change its properties to
+   * @param options - duration (ms), easing, delay, repeat and yoyo
+   *
+   * @example <caption>Slide a sprite across the screen, then drop it</caption>
+   * ```typescript
+   * await game.tween(sprite, { x: 300 }, { duration: 1000, easing: "easeOutQuad" });
+   * await game.tween(sprite, { y: 400 }, { duration: 600, easing: "easeOutBounce" });
+   * ```
+   *
+   * @example <caption>Pulse a circle forever</caption>
+   * ```typescript
+   * game.tween(circle, { radius: 40 }, { duration: 400, easing: "easeInOutSine", repeat: Infinity, yoyo: true });
+   * ```
+   */
+  public tween(
+    target: any,
+    props: Record<string, number>,
+    options?: TweenOptions
+  ): Tween {
+    const tween = new Tween(target, props, options);
+    this.tweens.add(tween);
+    return tween;
+  }
+
+  /**
+   * Create a timeline to play tweens one after another. See {@link Timeline}.
+   */
+  public timeline(): Timeline {
+    const timeline = new Timeline();
+    this.tweens.add(timeline);
+    return timeline;
+  }
+
+  /**
+   * Cancel every tween of a target, or every tween and timeline.
+   *
+   * @param target - the object whose tweens to cancel (default: all)
+   */
+  public cancelTweens(target?: any) {
+    for (const tween of this.tweens) {
+      if (target === undefined || (tween as Tween).target === target) {
+        tween.cancel();
+        this.tweens.delete(tween);
+      }
+    }
+  }
+
+  /**
+   * Call a function once after some game time has passed.
+   *
+   * Use this instead of setTimeout: the timer stops while the game is
+   * stopped or paused.
+   *
+   * @param ms - milliseconds of game time to wait
+   * @param fn - function to call
+   * @returns a Timer that can be cancelled
+   *
+   * @example <caption>Respawn the player two seconds after they die</caption>
+   * ```typescript
+   * game.after(2000, () => player.respawn());
+   * ```
+   */
+  public after(ms: number, fn: (timer: Timer) => void): Timer {
+    const timer = new Timer(ms, fn);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  /**
+   * Call a function every time some game time passes, until cancelled.
+   *
+   * Use this instead of setInterval: the timer stops while the game is
+   * stopped or paused.
+   *
+   * @param ms - milliseconds of game time between calls
+   * @param fn - function to call, passed the timer so it can cancel itself
+   * @returns a Timer that can be cancelled
+   *
+   * @example <caption>Spawn an enemy every 3 seconds, 10 times</caption>
+   * ```typescript
+   * let spawned = 0;
+   * game.every(3000, (timer) => {
+   *   spawnEnemy();
+   *   if (++spawned === 10) timer.cancel();
+   * });
+   * ```
+   */
+  public every(ms: number, fn: (timer: Timer) => void): Timer {
+    const timer = new Timer(ms, fn, true);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  /**
+   * Wait for some game time to pass.
+   *
+   * @param ms - milliseconds of game time to wait
+   *
+   * @example <caption>A countdown</caption>
+   * ```typescript
+   * for (const n of [3, 2, 1]) {
+   *   message = String(n);
+   *   await game.wait(1000);
+   * }
+   * message = "Go!";
+   * ```
+   */
+  public wait(ms: number): Promise<void> {
+    return new Promise((resolve) => this.after(ms, () => resolve()));
+  }
+
+  /**
+   * Set the number of fixed-timestep updates run per second.
+   *
+   * @param rate - updates per second
+   */
+  public setUpdateRate(rate: number) {
+    if (!(rate > 0)) {
+      throw new Error(
+        `setUpdateRate requires a positive number. Received ${rate}`
+      );
+    }
+    this.updateStep = 1000 / rate;
+  }
+
+  /**
+   * Set options for a drawing layer.
+   *
+   * @param layer - the layer number (as passed to addDrawing)
+   * @param options - Layer options
+   * @param options.camera - whether drawings in this layer are moved by the camera (default: true).
+   *   Set to false for HUD drawings such as scores that should stay put on screen.
+   */
+  public setLayerOptions(layer: number, options: LayerOptions) {
+    this.layerOptions.set(layer, {
+      ...this.layerOptions.get(layer),
+      ...options,
+    });
   }
 
   /**
@@ -386,14 +1579,65 @@ export class GameCanvas {
    *     }
    * );
    * ```
+   *
+   * @example <caption>Drag the view around with the mouse or a finger</caption>
+   * ```typescript
+   * game.addHandler('drag',
+   *     function ({dx,dy}) {
+   *         game.camera.x -= dx / game.camera.zoom;
+   *         game.camera.y -= dy / game.camera.zoom;
+   *     }
+   * );
+   * game.addHandler('wheel',
+   *     function ({deltaY,event}) {
+   *         game.camera.zoom *= Math.pow(0.999, deltaY);
+   *         event.preventDefault(); // don't scroll the page
+   *     }
+   * );
+   * ```
+   *
+   * @example <caption>Handle mouse, pen and touch input the same way</caption>
+   * ```typescript
+   * // Create the game with { preventTouchScroll: true } so dragging a
+   * // finger across the canvas doesn't scroll the page.
+   * game.addHandler('pointerdown',
+   *     function ({x,y,pointerId,pointerType,pointers}) {
+   *         console.log(pointerType, pointerId, "pressed at", x, y);
+   *         console.log(pointers.length, "pointers are down");
+   *     }
+   * );
+   * ```
    */
   public addHandler(
-    eventType: "click" | "dblclick" | "mousedown" | "mousemove" | "mouseup",
+    eventType:
+      | "click"
+      | "dblclick"
+      | "mousedown"
+      | "mousemove"
+      | "mouseup"
+      | "mouseenter"
+      | "mouseleave"
+      | "contextmenu",
+    h: (params: EventCallbackArgs) => boolean | void
+  ): number;
+  public addHandler(
+    eventType: "wheel",
+    h: (params: WheelCallbackArgs) => boolean | void
+  ): number;
+  public addHandler(
+    eventType: "drag",
+    h: (params: DragCallbackArgs) => boolean | void
+  ): number;
+  public addHandler(
+    eventType: "pointerdown" | "pointermove" | "pointerup" | "pointercancel",
+    h: (params: PointerCallbackArgs) => boolean | void
+  ): number;
+  public addHandler(
+    eventType: "gamepadconnected" | "gamepaddisconnected",
     h: (params: {
-      x: number;
-      y: number;
+      gamepad: GamepadState;
+      index: number;
       type: string;
-      event: Event;
     }) => boolean | void
   ): number;
   public addHandler(
@@ -423,8 +1667,9 @@ export class GameCanvas {
         `addHandler requires a function as second argument. ${h} is a ${typeof h}, not a function.`
       );
     }
-    this.handlers[eventType].push(h);
-    return this.handlers[eventType].length - 1;
+    const id = this.nextHandlerId++;
+    this.handlers[eventType].set(id, h);
+    return id;
   }
 
   /**
@@ -438,7 +1683,7 @@ export class GameCanvas {
         ).join(",")}`
       );
     }
-    this.handlers[eventType][idx] = () => {};
+    this.handlers[eventType].delete(idx);
   }
 
   /**
@@ -467,27 +1712,23 @@ export class GameCanvas {
    * ```
    */
   public addClickHandler(
-    h: (params: {
-      x: number;
-      y: number;
-      type: string;
-      event: Event;
-    }) => boolean | void
+    h: (params: EventCallbackArgs) => boolean | void
   ): number {
     if (typeof h !== "function") {
       throw new Error(
         `addClickHandler requires a function as an argument. ${h} is a ${typeof h}, not a function.`
       );
     }
-    this.handlers.click.push(h);
-    return this.handlers.click.length - 1;
+    const id = this.nextHandlerId++;
+    this.handlers.click.set(id, h);
+    return id;
   }
 
   /**
    * Syntactic sugar for removeHandler('click',h)
    */
   public removeClickHandler(idx: number) {
-    this.handlers.click[idx] = () => {};
+    this.handlers.click.delete(idx);
   }
 
   /**
@@ -512,6 +1753,25 @@ export class GameCanvas {
     return this.removeHandler("resize", idx);
   }
 
+  /**
+   * Get the pointers (mouse buttons, pens or fingers) currently pressed on
+   * the canvas. Useful for multi-touch games.
+   *
+   * @example <caption>Draw a circle under every finger</caption>
+   * ```typescript
+   * game.addDrawing(({ ctx }) => {
+   *     for (const p of game.getPointers()) {
+   *         ctx.beginPath();
+   *         ctx.arc(p.x, p.y, 30 + p.pressure * 20, 0, Math.PI * 2);
+   *         ctx.fill();
+   *     }
+   * });
+   * ```
+   */
+  public getPointers(): PointerInfo[] {
+    return [...this.pointers.values()];
+  }
+
   /**
    * Get current canvas size
    */
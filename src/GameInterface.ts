@@ -3,6 +3,8 @@ import { TopBar, BottomBar, UIBar } from "./UIBar";
 import { Button, ButtonConfig } from "./Button";
 import { NumberInput, NumberInputConfig } from "./NumberInput";
 import { Slider, SliderConfig } from "./Slider";
+import { Input, InputBinding } from "./Input";
+import { SceneManager } from "./Scenes";
 import { Size } from "./types";
 
 /**
@@ -27,6 +29,17 @@ export interface GameInterfaceConfig {
   cssVars?: Record<string, string>;
   /** If true, make the interface fullscreen (canvas fills viewport, no scroll) */
   fullscreen?: boolean;
+  /** If true, add pause, step and speed buttons to the bottom bar (see addDebugControls) */
+  debugControls?: boolean;
+  /** Canvas pixels per CSS pixel (default: window.devicePixelRatio) */
+  pixelRatio?: number;
+  /**
+   * If true, draw at canvasSize without image smoothing for crisp pixel art.
+   * With scaleToFit, the canvas is scaled up by the largest whole number
+   * that fits, with empty space around it, so pixels never shimmer.
+   * Example: canvasSize: {width: 320, height: 180}, pixelArt: true, scaleToFit: true
+   */
+  pixelArt?: boolean;
 }
 
 /**
@@ -84,6 +97,8 @@ export interface GameInterfaceConfig {
  * - {@link UIBar}
  */
 export class GameInterface extends GameCanvas {
+  /** Menus, levels and overlays. See {@link SceneManager}. */
+  public readonly scenes: SceneManager;
   /** UI Components available for use in GameInterface */
   private container!: HTMLElement;
   private canvasContainer!: HTMLElement;
@@ -91,6 +106,7 @@ export class GameInterface extends GameCanvas {
   private bottomBar?: BottomBar;
   private config: GameInterfaceConfig;
   private gameState: "stopped" | "running" | "paused" = "stopped";
+  private debugPauseButton?: Button;
 
   constructor(config: GameInterfaceConfig = {}) {
     // Create the canvas element first
@@ -116,6 +132,14 @@ export class GameInterface extends GameCanvas {
       );
     }
 
+    if (config.pixelArt && !hasExplicitSize) {
+      console.warn(
+        "GameInterface: pixelArt requires canvasSize to be specified. " +
+          "Falling back to autoresize mode."
+      );
+    }
+    const usePixelArt = !!(config.pixelArt && hasExplicitSize);
+
     // Determine sizing behavior:
     // - If scaleToFit + explicit size: fixed logical size, CSS scales display
     // - If explicit size only: fixed size, no scaling
@@ -136,22 +160,28 @@ export class GameInterface extends GameCanvas {
     super(canvas, {
       size: config.canvasSize,
       autoresize: shouldAutoresize,
+      pixelRatio: config.pixelRatio,
+      pixelArt: usePixelArt,
     });
 
     this.config = config;
+    this.scenes = new SceneManager(this);
     this.setupContainer(
       canvas,
       hasExplicitSize,
       shouldAutoresize,
-      useScaleToFit
+      useScaleToFit,
+      usePixelArt
     );
+    if (config.debugControls) this.addDebugControls();
   }
 
   private setupContainer(
     canvas: HTMLCanvasElement,
     hasExplicitSize: boolean,
     shouldAutoresize: boolean,
-    useScaleToFit: boolean
+    useScaleToFit: boolean,
+    usePixelArt: boolean
   ) {
     // Create main container
     this.container = document.createElement("div");
@@ -213,8 +243,11 @@ export class GameInterface extends GameCanvas {
     } else {
       // Normal mode: flexible or fixed size
       // Only fill container if autoresize without explicit size
-      // scaleToFit should size to content (inline-flex) so UI respects canvas size
-      const shouldFillContainer = !hasExplicitSize && shouldAutoresize;
+      // scaleToFit should size to content (inline-flex) so UI respects canvas size,
+      // except for pixel art, which needs room to pick a whole-number scale
+      const shouldFillContainer =
+        (!hasExplicitSize && shouldAutoresize) ||
+        (useScaleToFit && usePixelArt);
 
       this.container.style.cssText = `
         display: ${shouldFillContainer ? "flex" : "inline-flex"};
@@ -247,7 +280,16 @@ export class GameInterface extends GameCanvas {
     let containerLayoutCss = "";
     let canvasLayoutCss = "";
 
-    if (useScaleToFit) {
+    if (useScaleToFit && usePixelArt) {
+      // Pixel art scaleToFit mode:
+      // Container takes the available space; GameCanvas sizes the canvas
+      // to a whole-number scale inside it and centering letterboxes it
+      containerLayoutCss = `
+        flex: 1;
+        min-height: 0;
+        ${isFullscreen ? "" : "height: calc(100vh - 128px);"}
+      `;
+    } else if (useScaleToFit) {
       // scaleToFit mode:
       // Container becomes a CSS container that fills flex space
       // Canvas sizes based on container query units with aspect-ratio
@@ -277,6 +319,13 @@ export class GameInterface extends GameCanvas {
         height: 100%;
         ${isFullscreen ? "max-width: 100vw; max-height: 100vh;" : ""}
       `;
+    } else if (hasExplicitSize) {
+      // Fixed size: the bitmap is canvasSize times the pixel ratio, so
+      // set the display size explicitly.
+      canvasLayoutCss = `
+        width: ${this.config.canvasSize!.width}px;
+        height: ${this.config.canvasSize!.height}px;
+      `;
     }
 
     // Canvas container styling (common styles + layout)
@@ -461,6 +510,143 @@ export class GameInterface extends GameCanvas {
     return dialog;
   }
 
+  /**
+   * Show a dialog that lets the player remap the controls in `input`.
+   *
+   * Each action gets a row listing its current bindings and a "Change"
+   * button; pressing it waits for the next key, mouse button or gamepad
+   * button and makes that the action's only binding.
+   *
+   * @param actions - Actions to show (defaults to every bound action)
+   * @param onClose - Called when the dialog closes, e.g. to save `input.toJSON()`
+   */
+  controlsDialog(actions?: string[], onClose?: () => void): HTMLDialogElement {
+    const names = actions ?? Object.keys(this.input.toJSON().actions);
+    const dialog = this.dialog("Controls", undefined, onClose);
+    const content = dialog.firstElementChild!;
+    const list = document.createElement("div");
+    list.style.cssText = `
+      display: grid;
+      grid-template-columns: auto 1fr auto;
+      gap: 8px;
+      align-items: center;
+      margin: 0 0 20px 0;
+      color: var(--dialog-message-color, #666);
+      text-align: left;
+    `;
+    // Stops the row that is waiting for a press, if any.
+    let stopListening: (() => void) | undefined;
+    dialog.addEventListener("close", () => stopListening?.());
+    for (const name of names) {
+      const label = document.createElement("span");
+      label.textContent = name;
+      const current = document.createElement("span");
+      const showBindings = () => {
+        current.textContent = this.input
+          .getBindings(name)
+          .map(Input.describeBinding)
+          .join(", ");
+      };
+      showBindings();
+      const change = document.createElement("button");
+      change.textContent = "Change";
+      change.addEventListener("click", async () => {
+        stopListening?.();
+        current.textContent = "Press a key or button...";
+        // The canvas can't have focus while the dialog is open, so pass
+        // presses inside the dialog on to input ourselves. Escape is left
+        // to close the dialog, and clicks on the dialog's own buttons
+        // aren't bindings.
+        const onKey = (evt: KeyboardEvent) => {
+          if (evt.key === "Escape") return;
+          evt.preventDefault();
+          this.input.handleKeyDown(evt);
+        };
+        const onPointer = (evt: PointerEvent) => {
+          if ((evt.target as Element).closest("button")) return;
+          this.input.handleMouseDown(evt.button);
+        };
+        // Gamepads are only read as the game ticks, so while it is stopped
+        // (e.g. paused to change controls) read them here instead.
+        const pollGamepads = () => {
+          if (!this.getIsRunning()) {
+            this.gamepads.poll();
+            this.input.endFrame();
+            this.gamepads.endFrame();
+          }
+          pollFrame = window.requestAnimationFrame(pollGamepads);
+        };
+        let pollFrame = window.requestAnimationFrame(pollGamepads);
+        const removeListeners = () => {
+          dialog.removeEventListener("keydown", onKey);
+          dialog.removeEventListener("pointerdown", onPointer);
+          window.cancelAnimationFrame(pollFrame);
+          stopListening = undefined;
+        };
+        dialog.addEventListener("keydown", onKey);
+        dialog.addEventListener("pointerdown", onPointer);
+        stopListening = () => {
+          removeListeners();
+          this.input.cancelBinding();
+        };
+        let binding: InputBinding;
+        try {
+          binding = await this.input.listenForBinding();
+        } catch {
+          showBindings();
+          return;
+        }
+        removeListeners();
+        this.input.setBindings(name, [binding]);
+        showBindings();
+      });
+      list.append(label, current, change);
+    }
+    content.insertBefore(list, content.lastElementChild);
+    return dialog;
+  }
+
+  /**
+   * Add debug controls to the bottom bar: pause/resume, step one frame,
+   * and buttons to run the game at 0.25x, 0.5x, 1x or 2x speed. Handy for
+   * watching exactly what happens in a collision.
+   */
+  addDebugControls(): this {
+    const bar = this.addBottomBar();
+    this.debugPauseButton = bar.addButton({
+      text: "Pause",
+      onclick: () =>
+        this.gameState === "running" ? this.pause() : this.resume(),
+    });
+    bar.addButton({
+      text: "Step",
+      onclick: () => {
+        if (this.gameState === "running") this.pause();
+        this.step();
+      },
+    });
+    const speeds = [0.25, 0.5, 1, 2].map((scale) => {
+      const button = bar.addButton({
+        text: `${scale}x`,
+        onclick: () => {
+          this.setTimeScale(scale);
+          speeds.forEach((b) => b.enable());
+          button.disable();
+        },
+      });
+      if (scale === this.getTimeScale()) button.disable();
+      return button;
+    });
+    this.updateDebugControls();
+    return this;
+  }
+
+  private updateDebugControls() {
+    this.debugPauseButton?.setText(
+      this.gameState === "running" ? "Pause" : "Resume"
+    );
+  }
+
   /**
    * Get the main container element
    */
@@ -481,6 +667,7 @@ export class GameInterface extends GameCanvas {
   run(): void {
     super.run();
     this.gameState = "running";
+    this.updateDebugControls();
   }
 
   /**
@@ -489,6 +676,7 @@ export class GameInterface extends GameCanvas {
   pause(): void {
     super.stop();
     this.gameState = "paused";
+    this.updateDebugControls();
   }
 
   /**
@@ -497,6 +685,7 @@ export class GameInterface extends GameCanvas {
   resume(): void {
     super.run();
     this.gameState = "running";
+    this.updateDebugControls();
   }
 
   /**
@@ -505,6 +694,7 @@ export class GameInterface extends GameCanvas {
   stop(): void {
     super.stop();
     this.gameState = "stopped";
+    this.updateDebugControls();
   }
 
   /**
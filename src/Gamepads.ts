@@ -0,0 +1,213 @@
+/**
+ * The state of one gamepad button.
+ */
+export type GamepadButtonState = {
+  pressed: boolean;
+  /** How far the button is pressed, from 0 to 1 (for analog triggers) */
+  value: number;
+};
+
+/**
+ * A snapshot of a connected gamepad, taken once per tick.
+ */
+export type GamepadState = {
+  /** Which slot the pad is in (use this as `pad` in other methods) */
+  index: number;
+  /** Name of the controller reported by the browser */
+  id: string;
+  buttons: GamepadButtonState[];
+  /** Stick axes from -1 to 1, with the deadzone applied */
+  axes: number[];
+};
+
+/**
+ * A function returning the browser's gamepads, like navigator.getGamepads.
+ * Replace it (see {@link Gamepads.setSource}) to feed in fake gamepads.
+ */
+export type GamepadSource = () => ArrayLike<
+  | {
+      index: number;
+      id: string;
+      connected?: boolean;
+      buttons: ArrayLike<{ pressed: boolean; value: number }>;
+      axes: ArrayLike<number>;
+    }
+  | null
+  | undefined
+>;
+
+const browserGamepads: GamepadSource = () =>
+  (typeof navigator !== "undefined" && navigator.getGamepads?.()) || [];
+
+/**
+ * Gamepads reads the state of connected game controllers once per tick.
+ *
+ * Every GameCanvas has one at `game.gamepads`, polled at the start of each
+ * tick. Buttons use the standard gamepad layout (0 = A/cross, 1 = B/circle,
+ * 12-15 = d-pad up/down/left/right); axes 0 and 1 are the left stick.
+ *
+ * @example <caption>Move with the left stick, jump with A</caption>
+ * ```typescript
+ * game.addUpdate(({ stepTime }) => {
+ *   player.x += game.gamepads.axis(0) * stepTime / 4;
+ *   if (game.gamepads.justPressed(0)) player.jump();
+ * });
+ * game.addHandler("gamepadconnected", ({ gamepad }) => {
+ *   console.log("Controller connected:", gamepad.id);
+ * });
+ * ```
+ *
+ * @example <caption>Test without a real controller</caption>
+ * ```typescript
+ * const fakePad = { index: 0, id: "fake", buttons: [{ pressed: true, value: 1 }], axes: [0.5, 0] };
+ * game.gamepads.setSource(() => [fakePad]);
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Gamepads {
+  private source: GamepadSource;
+  private deadzone: number;
+  private axisDeadzones = new Map<number, number>();
+  private pads = new Map<number, GamepadState>();
+  private previous = new Map<number, GamepadState>();
+
+  /**
+   * @param deadzone - how far a stick must move before it counts (default: 0.15)
+   * @param source - where to read gamepads from (default: navigator.getGamepads)
+   */
+  constructor(
+    deadzone: number = 0.15,
+    source: GamepadSource = browserGamepads
+  ) {
+    this.deadzone = deadzone;
+    this.source = source;
+  }
+
+  /**
+   * Read gamepads from somewhere other than navigator.getGamepads, e.g. a
+   * fake for testing.
+   */
+  public setSource(source: GamepadSource): this {
+    this.source = source;
+    return this;
+  }
+
+  /**
+   * Set how far a stick must move (0-1) before it counts, for every axis or
+   * just one.
+   */
+  public setDeadzone(deadzone: number, axis?: number): this {
+    if (axis === undefined) {
+      this.deadzone = deadzone;
+    } else {
+      this.axisDeadzones.set(axis, deadzone);
+    }
+    return this;
+  }
+
+  private applyDeadzone(value: number, axis: number) {
+    const deadzone = this.axisDeadzones.get(axis) ?? this.deadzone;
+    if (Math.abs(value) <= deadzone) return 0;
+    // Rescale so the axis still goes smoothly from 0 to 1 outside the deadzone.
+    return (Math.sign(value) * (Math.abs(value) - deadzone)) / (1 - deadzone);
+  }
+
+  /**
+   * Take a new snapshot of every gamepad. Called by GameCanvas at the start
+   * of each tick.
+   *
+   * @returns the pads that were connected and disconnected since the last poll
+   */
+  public poll(): { connected: GamepadState[]; disconnected: GamepadState[] } {
+    const polled = this.pads;
+    this.pads = new Map();
+    for (const pad of Array.from(this.source())) {
+      if (!pad || pad.connected === false) continue;
+      this.pads.set(pad.index, {
+        index: pad.index,
+        id: pad.id,
+        buttons: Array.from(pad.buttons, ({ pressed, value }) => ({
+          pressed,
+          value,
+        })),
+        axes: Array.from(pad.axes, (value, axis) =>
+          this.applyDeadzone(value, axis)
+        ),
+      });
+    }
+    return {
+      connected: [...this.pads.values()].filter(
+        (pad) => !polled.has(pad.index)
+      ),
+      disconnected: [...polled.values()].filter(
+        (pad) => !this.pads.has(pad.index)
+      ),
+    };
+  }
+
+  /**
+   * Make the current snapshot the one justPressed/justReleased compare
+   * against. Called by GameCanvas after each update step (or after each
+   * frame if there are no updates), so a press polled in a frame with no
+   * update step is still "just pressed" in the next one.
+   */
+  public endFrame() {
+    this.previous = this.pads;
+  }
+
+  /**
+   * Get every connected gamepad.
+   */
+  public getPads(): GamepadState[] {
+    return [...this.pads.values()];
+  }
+
+  /**
+   * Get one gamepad by index, if it is connected.
+   */
+  public getPad(pad: number = 0): GamepadState | undefined {
+    return this.pads.get(pad);
+  }
+
+  /**
+   * Is the button held down?
+   */
+  public isDown(button: number, pad: number = 0): boolean {
+    return !!this.pads.get(pad)?.buttons[button]?.pressed;
+  }
+
+  /**
+   * Was the button pressed since the last tick?
+   */
+  public justPressed(button: number, pad: number = 0): boolean {
+    return (
+      this.isDown(button, pad) &&
+      !this.previous.get(pad)?.buttons[button]?.pressed
+    );
+  }
+
+  /**
+   * Was the button released since the last tick?
+   */
+  public justReleased(button: number, pad: number = 0): boolean {
+    return (
+      !this.isDown(button, pad) &&
+      !!this.previous.get(pad)?.buttons[button]?.pressed
+    );
+  }
+
+  /**
+   * How far the button is pressed, from 0 to 1.
+   */
+  public buttonValue(button: number, pad: number = 0): number {
+    return this.pads.get(pad)?.buttons[button]?.value ?? 0;
+  }
+
+  /**
+   * The value of a stick axis from -1 to 1, with the deadzone applied.
+   */
+  public axis(axis: number, pad: number = 0): number {
+    return this.pads.get(pad)?.axes[axis] ?? 0;
+  }
+}
@@ -0,0 +1,232 @@
+import {
+  Drawer,
+  DrawingCallback,
+  DrawingParams,
+  Hittable,
+  InteractiveTarget,
+} from "./types";
+
+/**
+ * Anything a Group can hold: a drawing function, a Shape, a Sprite or
+ * another Group.
+ */
+export type GroupChild = Drawer | DrawingCallback;
+
+/**
+ * Options for a Group.
+ */
+export type GroupConfig = InteractiveTarget & {
+  /** Position of the group's origin in its parent (default: 0) */
+  x?: number;
+  y?: number;
+  /** Rotation in radians around the group's origin (default: 0) */
+  rotation?: number;
+  /** Horizontal scale (default: 1) */
+  scaleX?: number;
+  /** Vertical scale (default: 1) */
+  scaleY?: number;
+  /** Opacity from 0 to 1, multiplied into every child (default: 1) */
+  opacity?: number;
+  /** Whether to draw the group and let it receive events (default: true) */
+  visible?: boolean;
+  /** Children to add right away */
+  children?: GroupChild[];
+};
+
+/**
+ * A Group holds other drawings and moves, rotates, scales and fades them
+ * as one unit.
+ *
+ * Children are drawn in the group's local coordinates: a child at (0, 0)
+ * is drawn at the group's x, y. Groups can hold other groups, and their
+ * transforms add up, so a turret in a tank group turns with the tank.
+ *
+ * Pointer events reach the topmost child with a matching callback (e.g.
+ * a Shape with onclick). If the pointer is over a child that has no such
+ * callback, the event bubbles up to the group.
+ *
+ * @example <caption>A tank whose turret turns with the body</caption>
+ * ```typescript
+ * const turret = new Group({
+ *   x: 0, y: -5,
+ *   children: [new Rect({ x: 0, y: -3, width: 40, height: 6, fill: "darkgreen" })],
+ * });
+ * const tank = new Group({
+ *   x: 200, y: 200,
+ *   children: [new Rect({ x: -25, y: -15, width: 50, height: 30, fill: "green" }), turret],
+ *   onclick: () => { tank.opacity = tank.opacity === 1 ? 0.5 : 1; },
+ * });
+ * game.addDrawing(tank);
+ * game.addUpdate(({ stepTime }) => {
+ *   tank.rotation += stepTime / 2000; // the turret comes along
+ *   turret.rotation += stepTime / 500; // ...and spins on top
+ * });
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Group implements Hittable, InteractiveTarget {
+  public x: number;
+  public y: number;
+  public rotation: number;
+  public scaleX: number;
+  public scaleY: number;
+  public opacity: number;
+  public visible: boolean;
+  public onclick?: InteractiveTarget["onclick"];
+  public onhover?: InteractiveTarget["onhover"];
+  public ondrag?: InteractiveTarget["ondrag"];
+  /** The group this group is in, if any */
+  public parent?: Group;
+  private children: GroupChild[] = [];
+
+  constructor(config: GroupConfig = {}) {
+    this.x = config.x ?? 0;
+    this.y = config.y ?? 0;
+    this.rotation = config.rotation ?? 0;
+    this.scaleX = config.scaleX ?? 1;
+    this.scaleY = config.scaleY ?? 1;
+    this.opacity = config.opacity ?? 1;
+    this.visible = config.visible ?? true;
+    this.onclick = config.onclick;
+    this.onhover = config.onhover;
+    this.ondrag = config.ondrag;
+    if (config.children) this.add(...config.children);
+  }
+
+  /**
+   * Add children on top of the existing ones. A group that is already in
+   * another group is moved into this one.
+   */
+  public add(...children: GroupChild[]): this {
+    for (const child of children) {
+      if (child instanceof Group) {
+        if (child === this || child.contains(this)) {
+          throw new Error("Cannot add a group to itself or its own children");
+        }
+        child.parent?.remove(child);
+        child.parent = this;
+      }
+      this.children.push(child);
+    }
+    return this;
+  }
+
+  /**
+   * Remove a child from the group.
+   */
+  public remove(child: GroupChild): this {
+    const index = this.children.indexOf(child);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      if (child instanceof Group) child.parent = undefined;
+    }
+    return this;
+  }
+
+  /**
+   * Get the group's children, bottom to top.
+   */
+  public getChildren(): GroupChild[] {
+    return [...this.children];
+  }
+
+  /**
+   * Is the child in this group or any group inside it?
+   */
+  public contains(child: GroupChild): boolean {
+    return this.children.some(
+      (c) => c === child || (c instanceof Group && c.contains(child))
+    );
+  }
+
+  /**
+   * Convert a point from the coordinates the group is drawn in (its
+   * parent's coordinates) to the group's local coordinates.
+   */
+  public toLocal(x: number, y: number): { x: number; y: number } {
+    const dx = x - this.x;
+    const dy = y - this.y;
+    const cos = Math.cos(-this.rotation);
+    const sin = Math.sin(-this.rotation);
+    return {
+      x: (dx * cos - dy * sin) / this.scaleX,
+      y: (dx * sin + dy * cos) / this.scaleY,
+    };
+  }
+
+  /**
+   * Convert a point in the group's local coordinates to its parent's
+   * coordinates.
+   */
+  public toParent(x: number, y: number): { x: number; y: number } {
+    const sx = x * this.scaleX;
+    const sy = y * this.scaleY;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    return {
+      x: this.x + sx * cos - sy * sin,
+      y: this.y + sx * sin + sy * cos,
+    };
+  }
+
+  /**
+   * Convert a point in the group's local coordinates to the coordinates
+   * the outermost group is drawn in (usually world coordinates).
+   */
+  public toGlobal(x: number, y: number): { x: number; y: number } {
+    const point = this.toParent(x, y);
+    return this.parent ? this.parent.toGlobal(point.x, point.y) : point;
+  }
+
+  /**
+   * Draw every child with the group's transform. Called by GameCanvas when
+   * the group is added with addDrawing.
+   */
+  public draw(params: DrawingParams) {
+    if (!this.visible) return;
+    const { ctx } = params;
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.rotation);
+    ctx.scale(this.scaleX, this.scaleY);
+    ctx.globalAlpha *= this.opacity;
+    for (const child of [...this.children]) {
+      const childParams = { ...params, remove: () => this.remove(child) };
+      // Save around each child so one that resets the transform doesn't
+      // move its siblings.
+      ctx.save();
+      if ((child as Drawer).draw) {
+        (child as Drawer).draw(childParams);
+      } else {
+        (child as DrawingCallback)(childParams);
+      }
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Find the topmost child at the point that accepts the event, or the
+   * group itself if the point is over a child and the group accepts it.
+   */
+  public hitTest(
+    x: number,
+    y: number,
+    accepts: (target: InteractiveTarget) => boolean
+  ): InteractiveTarget | undefined {
+    if (!this.visible) return;
+    const local = this.toLocal(x, y);
+    const groupAccepts = accepts(this);
+    for (let i = this.children.length - 1; i >= 0; i--) {
+      const child = this.children[i] as Partial<Hittable>;
+      if (typeof child.hitTest !== "function") continue;
+      const target = child.hitTest(
+        local.x,
+        local.y,
+        (t) => groupAccepts || accepts(t)
+      );
+      if (target) return accepts(target) ? target : this;
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import { Keyboard } from "./Keyboard";
+import { Gamepads } from "./Gamepads";
+
+/**
+ * A single key, mouse button or gamepad button that can trigger an action.
+ *
+ * Keys are named by `key` or `code` just like {@link Keyboard.isDown}.
+ * Mouse buttons are numbered like MouseEvent.button (0 = left, 1 = middle,
+ * 2 = right). Gamepad buttons use the standard gamepad layout (0 = A/cross,
+ * 1 = B/circle, 12-15 = d-pad up/down/left/right) on `pad` (default: 0).
+ */
+export type InputBinding =
+  | { type: "key"; key: string }
+  | { type: "mouse"; button: number }
+  | { type: "gamepad"; button: number; pad?: number };
+
+/**
+ * Bindings for an axis such as "moveX": a value from -1 to 1.
+ */
+export type AxisBinding = {
+  /** Inputs that push the axis toward -1 (e.g. ArrowLeft) */
+  negative?: InputBinding[];
+  /** Inputs that push the axis toward 1 (e.g. ArrowRight) */
+  positive?: InputBinding[];
+  /** Gamepad sticks that drive the axis directly (0 = left stick x, 1 = left stick y) */
+  gamepadAxes?: { axis: number; pad?: number; invert?: boolean }[];
+};
+
+/**
+ * Every action and axis binding. This is plain JSON, so it can be saved
+ * (e.g. to localStorage) and loaded back with {@link Input.loadBindings}.
+ */
+export type InputBindings = {
+  actions: Record<string, InputBinding[]>;
+  axes: Record<string, AxisBinding>;
+};
+
+/**
+ * Input maps named actions (like "jump") and axes (like "moveX") onto keys,
+ * mouse buttons and gamepad buttons, so game code doesn't care which
+ * control the player uses and players can remap controls.
+ *
+ * Every GameCanvas has one at `game.input`.
+ *
+ * @example <caption>Set up controls and use them in an update</caption>
+ * ```typescript
+ * game.input
+ *   .bind("jump", { type: "key", key: "Space" })
+ *   .bind("jump", { type: "gamepad", button: 0 })
+ *   .bind("fire", { type: "mouse", button: 0 })
+ *   .bindAxis("moveX", {
+ *     negative: [{ type: "key", key: "ArrowLeft" }, { type: "key", key: "a" }],
+ *     positive: [{ type: "key", key: "ArrowRight" }, { type: "key", key: "d" }],
+ *     gamepadAxes: [{ axis: 0 }],
+ *   });
+ *
+ * game.addUpdate(({ stepTime }) => {
+ *   player.x += game.input.axis("moveX") * stepTime / 5;
+ *   if (game.input.justPressed("jump")) player.jump();
+ * });
+ * ```
+ *
+ * @example <caption>Let the player remap an action</caption>
+ * ```typescript
+ * async function remapJump() {
+ *   gi.dialog("Press a key or button for Jump");
+ *   const binding = await game.input.listenForBinding();
+ *   game.input.setBindings("jump", [binding]);
+ *   localStorage.setItem("controls", JSON.stringify(game.input.toJSON()));
+ * }
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Input {
+  private keys: Keyboard;
+  private gamepads: Gamepads;
+  private actions = new Map<string, InputBinding[]>();
+  private axes = new Map<string, AxisBinding>();
+  private mouseDown = new Set<number>();
+  private mousePressed = new Set<number>();
+  /** Whether each action was down at the end of the last tick */
+  private wasDown = new Map<string, boolean>();
+  private bindingListeners: {
+    resolve: (binding: InputBinding) => void;
+    reject: (reason: Error) => void;
+  }[] = [];
+
+  /**
+   * @param keys - the Keyboard to read keys from
+   * @param gamepads - the Gamepads to read gamepad buttons and sticks from
+   * @param bindings - initial bindings (e.g. from toJSON)
+   */
+  constructor(keys: Keyboard, gamepads: Gamepads, bindings?: InputBindings) {
+    this.keys = keys;
+    this.gamepads = gamepads;
+    if (bindings) this.loadBindings(bindings);
+  }
+
+  /**
+   * Add a binding for an action.
+   */
+  public bind(action: string, binding: InputBinding): this {
+    this.actions.set(action, [...this.getBindings(action), binding]);
+    return this;
+  }
+
+  /**
+   * Remove one binding from an action, or every binding if none is given.
+   */
+  public unbind(action: string, binding?: InputBinding): this {
+    if (!binding) {
+      this.actions.delete(action);
+    } else {
+      const key = JSON.stringify(binding);
+      this.actions.set(
+        action,
+        this.getBindings(action).filter((b) => JSON.stringify(b) !== key)
+      );
+    }
+    return this;
+  }
+
+  /**
+   * Replace every binding for an action.
+   */
+  public setBindings(action: string, bindings: InputBinding[]): this {
+    this.actions.set(action, [...bindings]);
+    return this;
+  }
+
+  /**
+   * Get the bindings for an action.
+   */
+  public getBindings(action: string): InputBinding[] {
+    return this.actions.get(action) ?? [];
+  }
+
+  /**
+   * Set the bindings for an axis.
+   */
+  public bindAxis(axis: string, binding: AxisBinding): this {
+    this.axes.set(axis, binding);
+    return this;
+  }
+
+  /**
+   * Get the bindings for an axis.
+   */
+  public getAxisBinding(axis: string): AxisBinding | undefined {
+    return this.axes.get(axis);
+  }
+
+  /**
+   * Get every binding as plain JSON (for saving).
+   */
+  public toJSON(): InputBindings {
+    return JSON.parse(
+      JSON.stringify({
+        actions: Object.fromEntries(this.actions),
+        axes: Object.fromEntries(this.axes),
+      })
+    );
+  }
+
+  /**
+   * Replace every binding with ones from toJSON (as an object or a JSON string).
+   */
+  public loadBindings(bindings: InputBindings | string): this {
+    const parsed: InputBindings =
+      typeof bindings === "string" ? JSON.parse(bindings) : bindings;
+    this.actions = new Map(Object.entries(parsed.actions ?? {}));
+    this.axes = new Map(Object.entries(parsed.axes ?? {}));
+    return this;
+  }
+
+  /**
+   * Is any input bound to the action held down?
+   */
+  public action(action: string): boolean {
+    return this.getBindings(action).some((b) => this.isBindingDown(b));
+  }
+
+  /**
+   * Was the action pressed since the last tick?
+   */
+  public justPressed(action: string): boolean {
+    return (
+      (this.action(action) && !this.wasDown.get(action)) ||
+      this.getBindings(action).some(
+        (b) =>
+          (b.type === "key" && this.keys.justPressed(b.key)) ||
+          (b.type === "mouse" && this.mousePressed.has(b.button)) ||
+          (b.type === "gamepad" &&
+            this.gamepads.justPressed(b.button, b.pad ?? 0))
+      )
+    );
+  }
+
+  /**
+   * Was the action released since the last tick?
+   */
+  public justReleased(action: string): boolean {
+    return !this.action(action) && !!this.wasDown.get(action);
+  }
+
+  /**
+   * Get the value of an axis, from -1 to 1.
+   *
+   * Buttons give -1, 0 or 1; a gamepad stick gives anything in between.
+   * The input pushed furthest wins.
+   */
+  public axis(axis: string): number {
+    const binding = this.axes.get(axis);
+    if (!binding) return 0;
+    let value =
+      (binding.positive?.some((b) => this.isBindingDown(b)) ? 1 : 0) -
+      (binding.negative?.some((b) => this.isBindingDown(b)) ? 1 : 0);
+    for (const { axis: index, pad = 0, invert } of binding.gamepadAxes ?? []) {
+      const stick = this.gamepads.axis(index, pad) * (invert ? -1 : 1);
+      if (Math.abs(stick) > Math.abs(value)) value = stick;
+    }
+    return value;
+  }
+
+  /**
+   * Wait for the player to press any key, mouse button or gamepad button,
+   * and resolve with a binding for it. Useful for a "press a key" prompt
+   * when remapping controls.
+   *
+   * Rejects if {@link cancelBinding} is called first.
+   */
+  public listenForBinding(): Promise<InputBinding> {
+    return new Promise((resolve, reject) =>
+      this.bindingListeners.push({ resolve, reject })
+    );
+  }
+
+  /**
+   * Stop waiting for a binding, e.g. because the prompt was closed. Every
+   * pending listenForBinding promise rejects.
+   */
+  public cancelBinding() {
+    const listeners = this.bindingListeners;
+    this.bindingListeners = [];
+    listeners.forEach(({ reject }) =>
+      reject(new Error("Stopped listening for a binding"))
+    );
+  }
+
+  /**
+   * Get a short, human readable name for a binding (e.g. "Space", "Mouse 1").
+   */
+  public static describeBinding(binding: InputBinding): string {
+    switch (binding.type) {
+      case "key":
+        return binding.key === " " ? "Space" : binding.key;
+      case "mouse":
+        return `Mouse ${binding.button + 1}`;
+      case "gamepad":
+        return `Gamepad ${binding.pad ?? 0} Button ${binding.button}`;
+    }
+  }
+
+  private isBindingDown(binding: InputBinding): boolean {
+    switch (binding.type) {
+      case "key":
+        return this.keys.isDown(binding.key);
+      case "mouse":
+        return this.mouseDown.has(binding.button);
+      case "gamepad":
+        return this.gamepads.isDown(binding.button, binding.pad ?? 0);
+    }
+  }
+
+  private resolveBinding(binding: InputBinding) {
+    const listeners = this.bindingListeners;
+    this.bindingListeners = [];
+    listeners.forEach(({ resolve }) => resolve(binding));
+  }
+
+  /**
+   * Record a keydown event (only used by listenForBinding). Called by GameCanvas.
+   */
+  public handleKeyDown(evt: KeyboardEvent) {
+    if (this.bindingListeners.length && !evt.repeat) {
+      this.resolveBinding({ type: "key", key: evt.code });
+    }
+  }
+
+  /**
+   * Record a mouse button press. Called by GameCanvas.
+   */
+  public handleMouseDown(button: number) {
+    this.mouseDown.add(button);
+    this.mousePressed.add(button);
+    if (this.bindingListeners.length) {
+      this.resolveBinding({ type: "mouse", button });
+    }
+  }
+
+  /**
+   * Record a mouse button release. Called by GameCanvas.
+   */
+  public handleMouseUp(button: number) {
+    this.mouseDown.delete(button);
+  }
+
+  /**
+   * Release every mouse button, e.g. when the window loses focus.
+   */
+  public clear() {
+    this.mouseDown.clear();
+  }
+
+  /**
+   * Remember which actions were down for justPressed/justReleased, and look
+   * for gamepad presses if listenForBinding is waiting. Called by GameCanvas
+   * after each update step (or after each frame if there are no updates).
+   */
+  public endFrame() {
+    if (this.bindingListeners.length) {
+      for (const pad of this.gamepads.getPads()) {
+        const button = pad.buttons.findIndex((_, b) =>
+          this.gamepads.justPressed(b, pad.index)
+        );
+        if (button !== -1) {
+          this.resolveBinding({ type: "gamepad", button, pad: pad.index });
+          break;
+        }
+      }
+    }
+    for (const action of this.actions.keys()) {
+      this.wasDown.set(action, this.action(action));
+    }
+    this.mousePressed.clear();
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Keys that scroll the page by default, prevented when GameCanvas is
+ * created with `captureKeys: true`.
+ */
+const SCROLL_KEYS = [
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "Space",
+  "PageUp",
+  "PageDown",
+  "Home",
+  "End",
+];
+
+/**
+ * Keyboard keeps track of which keys are held down so games can check
+ * them each frame instead of writing their own keydown/keyup handlers.
+ *
+ * Every GameCanvas has one at `game.keys`. Keys can be named by their
+ * `key` (e.g. "a", "ArrowLeft", " ") or their `code` (e.g. "KeyA", "Space").
+ * Letter keys ignore case, so "a" and "A" are the same key.
+ *
+ * `justPressed` and `justReleased` are true for exactly one update step:
+ * a press stays "just pressed" until an update has run, however many
+ * frames that takes, so no update misses it and no two updates see it
+ * twice. Games without any updates can check them in a drawing instead;
+ * they then last a single frame. Don't check them in a timer.
+ *
+ * @example <caption>Move a player with the arrow keys</caption>
+ * ```typescript
+ * game.addUpdate(({ stepTime }) => {
+ *   if (game.keys.isDown("ArrowLeft")) player.x -= stepTime / 5;
+ *   if (game.keys.isDown("ArrowRight")) player.x += stepTime / 5;
+ *   if (game.keys.justPressed("Space")) player.jump();
+ * });
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Keyboard {
+  private down = new Set<string>();
+  private pressed = new Set<string>();
+  private released = new Set<string>();
+  /** The key value each physical key had when pressed, so we release the right one */
+  private keyForCode = new Map<string, string>();
+  private captureKeys: string[];
+
+  /**
+   * @param captureKeys - true to stop arrow keys, space, etc. scrolling the
+   *   page, or a list of keys/codes to stop the browser handling.
+   */
+  constructor(captureKeys: boolean | string[] = false) {
+    this.captureKeys = captureKeys === true ? SCROLL_KEYS : captureKeys || [];
+  }
+
+  private normalize(key: string) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Is the key currently held down?
+   * @param key - a key (e.g. "a", "ArrowLeft") or code (e.g. "KeyA", "Space")
+   */
+  public isDown(key: string): boolean {
+    return this.down.has(this.normalize(key));
+  }
+
+  /**
+   * Was the key pressed since the last tick?
+   * @param key - a key (e.g. "a", "ArrowLeft") or code (e.g. "KeyA", "Space")
+   */
+  public justPressed(key: string): boolean {
+    return this.pressed.has(this.normalize(key));
+  }
+
+  /**
+   * Was the key released since the last tick?
+   * @param key - a key (e.g. "a", "ArrowLeft") or code (e.g. "KeyA", "Space")
+   */
+  public justReleased(key: string): boolean {
+    return this.released.has(this.normalize(key));
+  }
+
+  /**
+   * Get the codes (e.g. "KeyA", "ArrowLeft") of every key held down.
+   */
+  public getKeysDown(): string[] {
+    return [...this.keyForCode.keys()];
+  }
+
+  /**
+   * Record a keydown event. Called by GameCanvas.
+   */
+  public handleKeyDown(evt: KeyboardEvent) {
+    if (
+      this.captureKeys.includes(evt.code) ||
+      this.captureKeys.includes(evt.key)
+    ) {
+      evt.preventDefault();
+    }
+    if (evt.repeat && this.keyForCode.has(evt.code)) return;
+    const key = this.normalize(evt.key);
+    this.keyForCode.set(evt.code, key);
+    for (const name of [key, evt.code]) {
+      this.down.add(name);
+      this.pressed.add(name);
+    }
+  }
+
+  /**
+   * Record a keyup event. Called by GameCanvas.
+   */
+  public handleKeyUp(evt: KeyboardEvent) {
+    // Release whatever key value this physical key produced when pressed
+    // (e.g. "!" if shift was released before "1").
+    const key = this.keyForCode.get(evt.code) ?? this.normalize(evt.key);
+    this.keyForCode.delete(evt.code);
+    const names = [evt.code];
+    // Keep e.g. "Shift" down while the other shift key is still held.
+    if (![...this.keyForCode.values()].includes(key)) names.push(key);
+    for (const name of names) {
+      this.down.delete(name);
+      this.released.add(name);
+    }
+  }
+
+  /**
+   * Forget justPressed/justReleased. Called by GameCanvas after each
+   * update step (or after each frame if there are no updates).
+   */
+  public endFrame() {
+    this.pressed.clear();
+    this.released.clear();
+  }
+
+  /**
+   * Release every key, e.g. when the game loses focus and we won't hear
+   * about keyup events.
+   */
+  public clear() {
+    for (const name of this.down) {
+      this.released.add(name);
+    }
+    this.down.clear();
+    this.keyForCode.clear();
+  }
+}
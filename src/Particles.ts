@@ -0,0 +1,330 @@
+import { Sprite } from "./Sprite";
+import { DrawingParams } from "./types";
+
+/** A fixed value, or a [min, max] range to pick a random value from */
+type Range = number | [number, number];
+
+/**
+ * Options for a ParticleEmitter.
+ */
+export type ParticleEmitterConfig = {
+  /** Where new particles appear */
+  x?: number;
+  y?: number;
+  /** Particles per second while emitting; 0 for bursts only (default: 50) */
+  rate?: number;
+  /** Whether to start emitting right away (default: true) */
+  emitting?: boolean;
+  /** How long each particle lives in milliseconds, or a [min, max] range (default: 1000) */
+  lifetime?: Range;
+  /** Starting speed in pixels per second, or a [min, max] range (default: 100) */
+  speed?: Range;
+  /** Direction particles fly in, in radians (default: -Math.PI / 2, i.e. up) */
+  angle?: number;
+  /** How far (in radians) directions may differ from angle; Math.PI * 2 for every direction (default: Math.PI * 2) */
+  spread?: number;
+  /** Acceleration in pixels per second per second, e.g. { x: 0, y: 300 } to fall (default: none) */
+  gravity?: { x: number; y: number };
+  /** Fraction of speed kept each second, e.g. 0.5 to slow down like smoke (default: 1) */
+  drag?: number;
+  /** Color, or colors to fade through over each particle's life (default: "white") */
+  color?: string | string[];
+  /** Size in pixels, or [start, end] to grow or shrink over life (default: 4) */
+  size?: number | [number, number];
+  /** Opacity, or [start, end] to fade over life (default: [1, 0]) */
+  opacity?: number | [number, number];
+  /** Canvas blend mode, e.g. "lighter" for glowing sparks (default: "source-over") */
+  blendMode?: GlobalCompositeOperation;
+  /** Draw squares instead of circles (faster for thousands of particles) */
+  shape?: "circle" | "square";
+  /** Draw each particle as a frame of this sprite instead of a colored shape */
+  sprite?: Sprite;
+  /** "life" plays the sprite's frames over each particle's life; "random" picks one (default: "life") */
+  spriteFrames?: "life" | "random";
+  /** Most particles alive at once; extra spawns are skipped (default: 1000) */
+  maxParticles?: number;
+  /** Remove the emitter from the game once it has stopped emitting (or has a rate of 0) and every particle is gone (default: false) */
+  removeWhenDone?: boolean;
+};
+
+/** One particle. Dead particles are kept for reuse rather than garbage collected. */
+type Particle = {
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+  age: number;
+  life: number;
+  /** Random number from 0 to 1, used to pick a sprite frame */
+  seed: number;
+};
+
+type RGBA = [number, number, number, number];
+
+/**
+ * Parse #rgb, #rrggbb or rgb()/rgba() so we can blend between colors.
+ */
+function parseColor(color: string): RGBA | undefined {
+  let m = color.match(/^#([\da-f])([\da-f])([\da-f])$/i);
+  if (m) return [...m.slice(1, 4).map((h) => parseInt(h + h, 16)), 1] as RGBA;
+  m = color.match(/^#([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i);
+  if (m) return [...m.slice(1, 4).map((h) => parseInt(h, 16)), 1] as RGBA;
+  m = color.match(/^rgba?\(([^)]+)\)$/i);
+  if (m) {
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).map(parseFloat);
+    return [r, g, b, a];
+  }
+}
+
+function pick(range: Range) {
+  return typeof range === "number"
+    ? range
+    : range[0] + Math.random() * (range[1] - range[0]);
+}
+
+function lerp(range: number | [number, number], t: number) {
+  return typeof range === "number"
+    ? range
+    : range[0] + (range[1] - range[0]) * t;
+}
+
+/**
+ * ParticleEmitter sprays out lots of small particles for explosions,
+ * smoke, sparkles, rain and so on. Add it with addDrawing; it moves its
+ * particles each frame using game time.
+ *
+ * Particles are reused once they die, so thousands of them stay smooth.
+ *
+ * @example <caption>A fountain of sparks that follows the mouse</caption>
+ * ```typescript
+ * const sparks = new ParticleEmitter({
+ *   rate: 200,
+ *   speed: [150, 250],
+ *   spread: 0.5,
+ *   gravity: { x: 0, y: 400 },
+ *   color: ["#ffff88", "#ff8800", "#880000"],
+ *   size: [4, 1],
+ *   blendMode: "lighter",
+ * });
+ * game.addDrawing(sparks);
+ * game.addHandler("mousemove", ({ x, y }) => { sparks.x = x; sparks.y = y; });
+ * ```
+ *
+ * @example <caption>A one-off explosion</caption>
+ * ```typescript
+ * game.addDrawing(
+ *   new ParticleEmitter({
+ *     x: enemy.x, y: enemy.y, rate: 0, speed: [50, 300], lifetime: [300, 800],
+ *     color: ["white", "orange", "#444"], removeWhenDone: true,
+ *   }).burst(100)
+ * );
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class ParticleEmitter {
+  public x: number;
+  public y: number;
+  public rate: number;
+  public emitting: boolean;
+  public lifetime: Range;
+  public speed: Range;
+  public angle: number;
+  public spread: number;
+  public gravity: { x: number; y: number };
+  public drag: number;
+  public size: number | [number, number];
+  public opacity: number | [number, number];
+  public blendMode: GlobalCompositeOperation;
+  public shape: "circle" | "square";
+  public sprite?: Sprite;
+  public spriteFrames: "life" | "random";
+  public maxParticles: number;
+  public removeWhenDone: boolean;
+  private colors: string[] = [];
+  /** Parsed colors, or undefined if any color can't be blended */
+  private rgba?: RGBA[];
+  /** Every particle ever made; the first `count` are alive */
+  private pool: Particle[] = [];
+  private count: number = 0;
+  /** Fraction of a particle left over from the last frame's spawning */
+  private spawnDebt: number = 0;
+
+  constructor(config: ParticleEmitterConfig = {}) {
+    this.x = config.x ?? 0;
+    this.y = config.y ?? 0;
+    this.rate = config.rate ?? 50;
+    this.emitting = config.emitting ?? true;
+    this.lifetime = config.lifetime ?? 1000;
+    this.speed = config.speed ?? 100;
+    this.angle = config.angle ?? -Math.PI / 2;
+    this.spread = config.spread ?? Math.PI * 2;
+    this.gravity = config.gravity ?? { x: 0, y: 0 };
+    this.drag = config.drag ?? 1;
+    this.size = config.size ?? 4;
+    this.opacity = config.opacity ?? [1, 0];
+    this.blendMode = config.blendMode ?? "source-over";
+    this.shape = config.shape ?? "circle";
+    this.sprite = config.sprite;
+    this.spriteFrames = config.spriteFrames ?? "life";
+    this.maxParticles = config.maxParticles ?? 1000;
+    this.removeWhenDone = config.removeWhenDone ?? false;
+    this.setColor(config.color ?? "white");
+  }
+
+  /**
+   * Change the color, or the colors particles fade through over their life.
+   */
+  public setColor(color: string | string[]): this {
+    this.colors = typeof color === "string" ? [color] : color;
+    const parsed = this.colors.map(parseColor);
+    // Colors we can't parse (e.g. "orange") switch from one to the next
+    // instead of blending.
+    this.rgba = parsed.every((c) => c) ? (parsed as RGBA[]) : undefined;
+    return this;
+  }
+
+  /**
+   * Spawn a number of particles at once.
+   *
+   * @param count - how many particles
+   * @param x - where to spawn them (default: the emitter's x)
+   * @param y - where to spawn them (default: the emitter's y)
+   */
+  public burst(count: number, x: number = this.x, y: number = this.y): this {
+    for (let i = 0; i < count; i++) this.spawn(x, y);
+    return this;
+  }
+
+  /** Start emitting particles at `rate` per second. */
+  public start(): this {
+    this.emitting = true;
+    return this;
+  }
+
+  /** Stop emitting (particles already out keep going until they die). */
+  public stop(): this {
+    this.emitting = false;
+    return this;
+  }
+
+  /** Remove every particle right away. */
+  public clear(): this {
+    this.count = 0;
+    return this;
+  }
+
+  /** Get the number of particles alive. */
+  public getCount(): number {
+    return this.count;
+  }
+
+  private spawn(x: number, y: number) {
+    if (this.count >= this.maxParticles) return;
+    let p = this.pool[this.count];
+    if (!p) {
+      p = { x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, seed: 0 };
+      this.pool.push(p);
+    }
+    const angle = this.angle + (Math.random() - 0.5) * this.spread;
+    const speed = pick(this.speed);
+    p.x = x;
+    p.y = y;
+    p.vx = Math.cos(angle) * speed;
+    p.vy = Math.sin(angle) * speed;
+    p.age = 0;
+    p.life = pick(this.lifetime);
+    p.seed = Math.random();
+    this.count++;
+  }
+
+  /** Move every particle forward `ms` milliseconds, removing dead ones. */
+  private step(ms: number) {
+    const seconds = ms / 1000;
+    const dragFactor = this.drag === 1 ? 1 : Math.pow(this.drag, seconds);
+    for (let i = 0; i < this.count; i++) {
+      const p = this.pool[i];
+      p.age += ms;
+      if (p.age >= p.life) {
+        // Swap the dead particle with the last live one so the live
+        // particles stay at the front of the pool.
+        this.count--;
+        this.pool[i] = this.pool[this.count];
+        this.pool[this.count] = p;
+        i--;
+        continue;
+      }
+      p.vx = (p.vx + this.gravity.x * seconds) * dragFactor;
+      p.vy = (p.vy + this.gravity.y * seconds) * dragFactor;
+      p.x += p.vx * seconds;
+      p.y += p.vy * seconds;
+    }
+  }
+
+  private colorAt(t: number): string {
+    const last = this.colors.length - 1;
+    if (last === 0) return this.colors[0];
+    const position = t * last;
+    const index = Math.min(Math.floor(position), last - 1);
+    if (!this.rgba) return this.colors[Math.min(Math.round(position), last)];
+    const a = this.rgba[index];
+    const b = this.rgba[index + 1];
+    const f = position - index;
+    const mix = (i: number) => a[i] + (b[i] - a[i]) * f;
+    return `rgba(${mix(0) | 0},${mix(1) | 0},${mix(2) | 0},${mix(3)})`;
+  }
+
+  /**
+   * Spawn, move and draw particles. Called by GameCanvas when the emitter
+   * is added with addDrawing.
+   */
+  public draw({ ctx, stepTime, remove }: DrawingParams) {
+    if (this.emitting && this.rate > 0) {
+      this.spawnDebt += (this.rate * stepTime) / 1000;
+      const spawns = Math.floor(this.spawnDebt);
+      this.spawnDebt -= spawns;
+      for (let i = 0; i < spawns; i++) this.spawn(this.x, this.y);
+    }
+    this.step(stepTime);
+    const done = !this.emitting || this.rate <= 0;
+    if (this.removeWhenDone && done && this.count === 0) {
+      remove();
+      return;
+    }
+    ctx.save();
+    ctx.globalCompositeOperation = this.blendMode;
+    const baseAlpha = ctx.globalAlpha;
+    const sprite = this.sprite?.ready ? this.sprite : undefined;
+    for (let i = 0; i < this.count; i++) {
+      const p = this.pool[i];
+      const t = p.age / p.life;
+      const size = lerp(this.size, t);
+      ctx.globalAlpha = baseAlpha * lerp(this.opacity, t);
+      if (sprite) {
+        const frames = sprite.frames ?? 1;
+        const frame = Math.min(
+          Math.floor((this.spriteFrames === "random" ? p.seed : t) * frames),
+          frames - 1
+        );
+        sprite.drawFrame(
+          ctx,
+          frame,
+          p.x - size / 2,
+          p.y - size / 2,
+          size,
+          size
+        );
+      } else {
+        ctx.fillStyle = this.colorAt(t);
+        if (this.shape === "square") {
+          ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+        } else {
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, size / 2, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    }
+    ctx.restore();
+  }
+}
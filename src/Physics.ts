@@ -0,0 +1,604 @@
+import { UpdateParams } from "./types";
+
+/**
+ * The shape of a physics body, centered on the body's x, y.
+ * Polygon points are relative to x, y.
+ */
+export type BodyShape =
+  | { type: "circle"; radius: number }
+  | { type: "rect"; width: number; height: number }
+  | { type: "polygon"; points: { x: number; y: number }[] };
+
+/**
+ * Anything a body can move, such as a Sprite or Shape. Sprites
+ * (getBounds) and Rects (width/height) aren't positioned by their center,
+ * so the body keeps their center on its own.
+ */
+export type PhysicsTarget = {
+  x: number;
+  y: number;
+  /** The drawn box, if it isn't just x, y and the size (e.g. a Sprite's anchor and scale) */
+  getBounds?: () => { x: number; y: number; width: number; height: number };
+  targetWidth?: number;
+  targetHeight?: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  points?: { x: number; y: number }[];
+};
+
+/**
+ * Passed to onCollide callbacks.
+ */
+export type CollisionEvent = {
+  /** The body the callback belongs to */
+  body: Body;
+  /** The body it hit, or undefined if it hit the edge of the world */
+  other?: Body;
+  /** Which edge of the world bounds it hit, if it hit one */
+  wall?: "left" | "right" | "top" | "bottom";
+  /** Unit vector pointing out of whatever was hit, toward `body` */
+  normal: { x: number; y: number };
+  /** How far the two overlapped before being pushed apart */
+  depth: number;
+};
+
+/**
+ * Options for a physics body.
+ */
+export type BodyConfig = {
+  /** The body's shape; worked out from `attach` if not given */
+  shape?: BodyShape;
+  /** A Sprite or Shape whose x and y the body should drive */
+  attach?: PhysicsTarget;
+  /** Center of the body (default: the center of `attach`, or 0) */
+  x?: number;
+  y?: number;
+  /** Velocity in pixels per second (default: 0) */
+  vx?: number;
+  vy?: number;
+  /** Acceleration in pixels per second per second, on top of gravity (default: 0) */
+  ax?: number;
+  ay?: number;
+  /** Mass; heavier bodies push lighter ones around (default: 1) */
+  mass?: number;
+  /** Bounciness from 0 (no bounce) to 1 (bounces back just as fast) (default: 0.2) */
+  restitution?: number;
+  /** How much sliding bodies slow each other, from 0 (ice) to 1 (default: 0.2) */
+  friction?: number;
+  /** Static bodies (floors, walls) never move (default: false) */
+  static?: boolean;
+  /** Sensors report collisions but don't push anything (e.g. coins) (default: false) */
+  sensor?: boolean;
+  /** How much world gravity affects the body (default: 1) */
+  gravityScale?: number;
+  /** Called whenever the body touches another body or the world bounds */
+  onCollide?: (event: CollisionEvent) => void;
+};
+
+/** Center of a target, given its top-left corner and size */
+function getTargetOffset(target: PhysicsTarget) {
+  if (target.getBounds) {
+    const box = target.getBounds();
+    return {
+      x: box.x + box.width / 2 - target.x,
+      y: box.y + box.height / 2 - target.y,
+    };
+  }
+  return {
+    x: (target.targetWidth ?? target.width ?? 0) / 2,
+    y: (target.targetHeight ?? target.height ?? 0) / 2,
+  };
+}
+
+function shapeFromTarget(target: PhysicsTarget): BodyShape {
+  if (target.radius !== undefined) {
+    return { type: "circle", radius: target.radius };
+  }
+  if (target.points) {
+    return { type: "polygon", points: target.points };
+  }
+  const box = target.getBounds?.();
+  const width = box?.width ?? target.targetWidth ?? target.width;
+  const height = box?.height ?? target.targetHeight ?? target.height;
+  if (width === undefined || height === undefined) {
+    throw new Error(
+      "Cannot work out the shape of the body: pass a shape, or attach something with a radius, points or a width and height"
+    );
+  }
+  return { type: "rect", width, height };
+}
+
+/**
+ * A physics body: something with a shape, position and velocity that a
+ * PhysicsWorld moves and bounces off other bodies.
+ *
+ * Create bodies with {@link PhysicsWorld.add}.
+ *
+ * @memberof SimpleCanvas
+ */
+export class Body {
+  public shape: BodyShape;
+  public x: number;
+  public y: number;
+  public vx: number;
+  public vy: number;
+  public ax: number;
+  public ay: number;
+  public restitution: number;
+  public friction: number;
+  public sensor: boolean;
+  public gravityScale: number;
+  public onCollide?: (event: CollisionEvent) => void;
+  /** The Sprite or Shape this body moves, if any */
+  public target?: PhysicsTarget;
+  public readonly isStatic: boolean;
+  private mass: number;
+
+  constructor(config: BodyConfig) {
+    const target = config.attach;
+    if (!config.shape && !target) {
+      throw new Error("Body needs a shape, or a Sprite or Shape to attach to");
+    }
+    this.shape = config.shape ?? shapeFromTarget(target!);
+    const offset = target ? getTargetOffset(target) : { x: 0, y: 0 };
+    this.x = config.x ?? (target ? target.x + offset.x : 0);
+    this.y = config.y ?? (target ? target.y + offset.y : 0);
+    this.vx = config.vx ?? 0;
+    this.vy = config.vy ?? 0;
+    this.ax = config.ax ?? 0;
+    this.ay = config.ay ?? 0;
+    this.mass = config.mass ?? 1;
+    this.restitution = config.restitution ?? 0.2;
+    this.friction = config.friction ?? 0.2;
+    this.isStatic = config.static ?? false;
+    this.sensor = config.sensor ?? false;
+    this.gravityScale = config.gravityScale ?? 1;
+    this.onCollide = config.onCollide;
+    this.target = target;
+  }
+
+  /** 1 / mass, or 0 for static bodies that can't be pushed */
+  get inverseMass() {
+    return this.isStatic || this.mass <= 0 ? 0 : 1 / this.mass;
+  }
+
+  /**
+   * Change the body's mass.
+   */
+  public setMass(mass: number): this {
+    this.mass = mass;
+    return this;
+  }
+
+  /**
+   * Give the body a sudden push, such as a jump or a hit. The change in
+   * velocity is the impulse divided by the mass.
+   */
+  public applyImpulse(x: number, y: number): this {
+    this.vx += x * this.inverseMass;
+    this.vy += y * this.inverseMass;
+    return this;
+  }
+
+  /**
+   * Get the box around the body.
+   */
+  public getBounds(): { x: number; y: number; width: number; height: number } {
+    const shape = this.shape;
+    if (shape.type === "circle") {
+      return {
+        x: this.x - shape.radius,
+        y: this.y - shape.radius,
+        width: shape.radius * 2,
+        height: shape.radius * 2,
+      };
+    }
+    if (shape.type === "rect") {
+      return {
+        x: this.x - shape.width / 2,
+        y: this.y - shape.height / 2,
+        width: shape.width,
+        height: shape.height,
+      };
+    }
+    const xs = shape.points.map((p) => p.x);
+    const ys = shape.points.map((p) => p.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    return {
+      x: this.x + left,
+      y: this.y + top,
+      width: Math.max(...xs) - left,
+      height: Math.max(...ys) - top,
+    };
+  }
+
+  /** Corners of a rect or polygon body, in world coordinates */
+  public getPoints(): { x: number; y: number }[] {
+    const shape = this.shape;
+    if (shape.type === "polygon") {
+      return shape.points.map((p) => ({ x: this.x + p.x, y: this.y + p.y }));
+    }
+    const { x, y, width, height } = this.getBounds();
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+    ];
+  }
+
+  /**
+   * Move the attached Sprite or Shape to match the body. Called by
+   * PhysicsWorld after each update.
+   */
+  public syncTarget() {
+    if (!this.target) return;
+    const offset = getTargetOffset(this.target);
+    this.target.x = this.x - offset.x;
+    this.target.y = this.y - offset.y;
+  }
+}
+
+/** How far two bodies overlap, and which way to push b out of a */
+type Contact = { normal: { x: number; y: number }; depth: number };
+
+function circleCircle(a: Body, b: Body): Contact | undefined {
+  const ra = (a.shape as { radius: number }).radius;
+  const rb = (b.shape as { radius: number }).radius;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const distance = Math.hypot(dx, dy);
+  if (distance >= ra + rb) return;
+  if (distance === 0) return { normal: { x: 0, y: -1 }, depth: ra + rb };
+  return {
+    normal: { x: dx / distance, y: dy / distance },
+    depth: ra + rb - distance,
+  };
+}
+
+function rectRect(a: Body, b: Body): Contact | undefined {
+  const ba = a.getBounds();
+  const bb = b.getBounds();
+  const overlapX =
+    Math.min(ba.x + ba.width, bb.x + bb.width) - Math.max(ba.x, bb.x);
+  const overlapY =
+    Math.min(ba.y + ba.height, bb.y + bb.height) - Math.max(ba.y, bb.y);
+  if (overlapX <= 0 || overlapY <= 0) return;
+  if (overlapX < overlapY) {
+    return { normal: { x: b.x < a.x ? -1 : 1, y: 0 }, depth: overlapX };
+  }
+  return { normal: { x: 0, y: b.y < a.y ? -1 : 1 }, depth: overlapY };
+}
+
+/** Project points onto an axis, returning the min and max */
+function project(points: { x: number; y: number }[], ax: number, ay: number) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of points) {
+    const d = p.x * ax + p.y * ay;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return { min, max };
+}
+
+/** Edge normals of a polygon, normalized */
+function getAxes(points: { x: number; y: number }[]) {
+  return points.map((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+    return { x: -(q.y - p.y) / length, y: (q.x - p.x) / length };
+  });
+}
+
+/**
+ * Separating axis test between a polygon body and a polygon or circle
+ * body: if the shapes overlap on every axis, they collide, and the axis
+ * with the least overlap is the way to push them apart.
+ */
+function satContact(a: Body, b: Body): Contact | undefined {
+  const circleA = a.shape.type === "circle";
+  const circleB = b.shape.type === "circle";
+  const pointsA = circleA ? [] : a.getPoints();
+  const pointsB = circleB ? [] : b.getPoints();
+  const axes = [...getAxes(pointsA), ...getAxes(pointsB)];
+  const circle = circleA ? a : circleB ? b : undefined;
+  if (circle) {
+    // Circles also need the axis toward the nearest corner of the polygon.
+    const corners = circleA ? pointsB : pointsA;
+    let nearest = corners[0];
+    for (const p of corners) {
+      if (
+        Math.hypot(p.x - circle.x, p.y - circle.y) <
+        Math.hypot(nearest.x - circle.x, nearest.y - circle.y)
+      ) {
+        nearest = p;
+      }
+    }
+    const length = Math.hypot(nearest.x - circle.x, nearest.y - circle.y);
+    if (length > 0) {
+      axes.push({
+        x: (nearest.x - circle.x) / length,
+        y: (nearest.y - circle.y) / length,
+      });
+    }
+  }
+  const projectBody = (
+    body: Body,
+    points: { x: number; y: number }[],
+    axis: { x: number; y: number }
+  ) => {
+    if (body.shape.type !== "circle") return project(points, axis.x, axis.y);
+    const center = body.x * axis.x + body.y * axis.y;
+    return { min: center - body.shape.radius, max: center + body.shape.radius };
+  };
+  let best: Contact | undefined;
+  for (const axis of axes) {
+    const pa = projectBody(a, pointsA, axis);
+    const pb = projectBody(b, pointsB, axis);
+    const overlap = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+    if (overlap <= 0) return;
+    if (!best || overlap < best.depth) {
+      best = { normal: axis, depth: overlap };
+    }
+  }
+  if (!best) return;
+  // Make the normal point from a to b.
+  const direction = (b.x - a.x) * best.normal.x + (b.y - a.y) * best.normal.y;
+  if (direction < 0) {
+    best.normal = { x: -best.normal.x, y: -best.normal.y };
+  }
+  return best;
+}
+
+function getContact(a: Body, b: Body): Contact | undefined {
+  const ta = a.shape.type;
+  const tb = b.shape.type;
+  if (ta === "circle" && tb === "circle") return circleCircle(a, b);
+  if (ta === "rect" && tb === "rect") return rectRect(a, b);
+  return satContact(a, b);
+}
+
+function overlapsBox(
+  a: { x: number; y: number; width: number; height: number },
+  b: { x: number; y: number; width: number; height: number }
+) {
+  return (
+    a.x < b.x + b.width &&
+    b.x < a.x + a.width &&
+    a.y < b.y + b.height &&
+    b.y < a.y + a.height
+  );
+}
+
+/**
+ * Options for a PhysicsWorld.
+ */
+export type PhysicsWorldConfig = {
+  /** Gravity in pixels per second per second (default: { x: 0, y: 0 }) */
+  gravity?: { x: number; y: number };
+  /** A box bodies can't leave, such as the canvas (default: none) */
+  bounds?: { x: number; y: number; width: number; height: number };
+  /** Called once for every collision between two bodies, and whenever a body hits the bounds */
+  onCollide?: (event: CollisionEvent) => void;
+};
+
+/**
+ * A PhysicsWorld moves bodies with gravity and velocity, and bounces them
+ * off each other and the edges of the world.
+ *
+ * The world is an updater: add it with addUpdate so it runs on the game's
+ * fixed update clock (and pauses and slows down with the game).
+ *
+ * @example <caption>Bouncing balls on a floor</caption>
+ * ```typescript
+ * const world = new PhysicsWorld({
+ *   gravity: { x: 0, y: 500 },
+ *   bounds: { x: 0, y: 0, width: 400, height: 300 },
+ * });
+ * game.addUpdate(world);
+ * world.add({ shape: { type: "rect", width: 200, height: 20 }, x: 200, y: 250, static: true });
+ * for (let i = 0; i < 5; i++) {
+ *   const ball = new Circle({ x: 50 + i * 60, y: 50, radius: 15, fill: "tomato" });
+ *   game.addDrawing(ball);
+ *   world.add({ attach: ball, restitution: 0.7, vx: 100 });
+ * }
+ * ```
+ *
+ * @example <caption>A sprite that jumps and collects coins</caption>
+ * ```typescript
+ * const player = world.add({ attach: playerSprite, friction: 0.5 });
+ * world.add({
+ *   attach: coinSprite,
+ *   static: true,
+ *   sensor: true,
+ *   onCollide: ({ other }) => { if (other === player) collectCoin(); },
+ * });
+ * game.addUpdate(() => {
+ *   if (game.keys.justPressed("Space")) player.vy = -400;
+ * });
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class PhysicsWorld {
+  public gravity: { x: number; y: number };
+  public bounds?: { x: number; y: number; width: number; height: number };
+  public onCollide?: (event: CollisionEvent) => void;
+  private bodies: Body[] = [];
+
+  constructor(config: PhysicsWorldConfig = {}) {
+    this.gravity = config.gravity ?? { x: 0, y: 0 };
+    this.bounds = config.bounds;
+    this.onCollide = config.onCollide;
+  }
+
+  /**
+   * Add a body to the world.
+   *
+   * @param body - a Body, or the options to make one
+   * @returns the body
+   */
+  public add(body: Body | BodyConfig): Body {
+    const b = body instanceof Body ? body : new Body(body);
+    this.bodies.push(b);
+    b.syncTarget();
+    return b;
+  }
+
+  /**
+   * Remove a body from the world.
+   */
+  public remove(body: Body) {
+    const index = this.bodies.indexOf(body);
+    if (index === -1) {
+      console.log("WARNING: Attempt to remove a body that is not in the world");
+      return;
+    }
+    this.bodies.splice(index, 1);
+  }
+
+  /**
+   * Get every body in the world.
+   */
+  public getBodies(): Body[] {
+    return [...this.bodies];
+  }
+
+  /**
+   * Run one step of the simulation. Called by GameCanvas when the world is
+   * added with addUpdate.
+   */
+  public update({ stepTime }: Pick<UpdateParams, "stepTime">) {
+    const dt = stepTime / 1000;
+    for (const body of this.bodies) {
+      if (body.isStatic) continue;
+      // Semi-implicit Euler: update velocity first, then position.
+      body.vx += (this.gravity.x * body.gravityScale + body.ax) * dt;
+      body.vy += (this.gravity.y * body.gravityScale + body.ay) * dt;
+      body.x += body.vx * dt;
+      body.y += body.vy * dt;
+    }
+    this.collideBodies();
+    if (this.bounds) this.collideBounds(this.bounds);
+    for (const body of this.bodies) body.syncTarget();
+  }
+
+  private collideBodies() {
+    const bodies = this.bodies;
+    const boxes = bodies.map((b) => b.getBounds());
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const a = bodies[i];
+        const b = bodies[j];
+        if (a.inverseMass + b.inverseMass === 0 && !a.sensor && !b.sensor) {
+          continue;
+        }
+        if (!overlapsBox(boxes[i], boxes[j])) continue;
+        const contact = getContact(a, b);
+        if (!contact) continue;
+        if (!a.sensor && !b.sensor) this.resolve(a, b, contact);
+        const { normal, depth } = contact;
+        const event: CollisionEvent = {
+          body: a,
+          other: b,
+          normal: { x: -normal.x, y: -normal.y },
+          depth,
+        };
+        a.onCollide?.(event);
+        b.onCollide?.({ body: b, other: a, normal, depth });
+        this.onCollide?.(event);
+      }
+    }
+  }
+
+  /**
+   * Push two bodies apart and bounce their velocities off each other.
+   */
+  private resolve(a: Body, b: Body, { normal, depth }: Contact) {
+    const totalInverseMass = a.inverseMass + b.inverseMass;
+    if (totalInverseMass === 0) return;
+    // Move them apart in proportion to how easily each one moves.
+    const push = depth / totalInverseMass;
+    a.x -= normal.x * push * a.inverseMass;
+    a.y -= normal.y * push * a.inverseMass;
+    b.x += normal.x * push * b.inverseMass;
+    b.y += normal.y * push * b.inverseMass;
+    this.bounce(a, b, normal, totalInverseMass);
+  }
+
+  /** Apply bounce and friction impulses along a contact normal (pointing from a to b) */
+  private bounce(
+    a: Body,
+    b: Body | undefined,
+    normal: { x: number; y: number },
+    totalInverseMass: number
+  ) {
+    if (totalInverseMass === 0) return;
+    const rvx = (b?.vx ?? 0) - a.vx;
+    const rvy = (b?.vy ?? 0) - a.vy;
+    const velocityAlongNormal = rvx * normal.x + rvy * normal.y;
+    if (velocityAlongNormal > 0) return; // already moving apart
+    const restitution = Math.max(a.restitution, b?.restitution ?? 0);
+    const j = (-(1 + restitution) * velocityAlongNormal) / totalInverseMass;
+    this.applyImpulsePair(a, b, normal.x * j, normal.y * j);
+    // Friction works against sliding along the surface.
+    const tx = rvx - velocityAlongNormal * normal.x;
+    const ty = rvy - velocityAlongNormal * normal.y;
+    const tangentLength = Math.hypot(tx, ty);
+    if (tangentLength < 1e-9) return;
+    const friction = Math.sqrt(a.friction * (b?.friction ?? a.friction));
+    const jt = Math.min(
+      tangentLength / totalInverseMass,
+      Math.abs(j) * friction
+    );
+    this.applyImpulsePair(
+      a,
+      b,
+      (tx / tangentLength) * jt,
+      (ty / tangentLength) * jt
+    );
+  }
+
+  private applyImpulsePair(a: Body, b: Body | undefined, x: number, y: number) {
+    a.vx -= x * a.inverseMass;
+    a.vy -= y * a.inverseMass;
+    if (b) {
+      b.vx += x * b.inverseMass;
+      b.vy += y * b.inverseMass;
+    }
+  }
+
+  /**
+   * Keep dynamic bodies inside the world bounds, bouncing them off the edges.
+   */
+  private collideBounds(bounds: {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }) {
+    for (const body of this.bodies) {
+      if (body.isStatic || body.sensor) continue;
+      const box = body.getBounds();
+      const walls: [CollisionEvent["wall"], number, number, number][] = [
+        ["left", bounds.x - box.x, 1, 0],
+        ["right", box.x + box.width - (bounds.x + bounds.width), -1, 0],
+        ["top", bounds.y - box.y, 0, 1],
+        ["bottom", box.y + box.height - (bounds.y + bounds.height), 0, -1],
+      ];
+      for (const [wall, depth, nx, ny] of walls) {
+        if (depth <= 0) continue;
+        body.x += nx * depth;
+        body.y += ny * depth;
+        // The wall is an immovable body on the far side of the normal.
+        this.bounce(body, undefined, { x: -nx, y: -ny }, body.inverseMass);
+        const event = { body, wall, normal: { x: nx, y: ny }, depth };
+        body.onCollide?.(event);
+        this.onCollide?.(event);
+      }
+    }
+  }
+}
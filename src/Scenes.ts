@@ -0,0 +1,662 @@
+import { GameCanvas } from "./GameCanvas";
+import { UIBar } from "./UIBar";
+import { Timer } from "./Timer";
+import { Timeline, Tween, TweenOptions } from "./Tween";
+import {
+  Drawer,
+  DrawingCallback,
+  DrawingOptions,
+  DrawingParams,
+  Hittable,
+  UpdateCallback,
+  Updater,
+} from "./types";
+
+/**
+ * Lifecycle hooks for a scene. Each receives the scene, so it can add
+ * drawings, updates and handlers that are cleaned up when the scene exits.
+ */
+export type SceneConfig = {
+  /** Called when the scene starts, with any data passed to switchTo/push */
+  enter?: (scene: Scene, data?: any) => void;
+  /** Called when the scene ends, just before its drawings and handlers are removed */
+  exit?: (scene: Scene) => void;
+  /** Called when another scene is pushed on top of this one */
+  pause?: (scene: Scene) => void;
+  /** Called when the scene on top of this one is popped */
+  resume?: (scene: Scene) => void;
+};
+
+/**
+ * How to animate from one scene to another: "fade" fades the old scene out
+ * and the new one in, "slide" pushes the old scene off the canvas with the
+ * new one.
+ */
+export type SceneTransition =
+  | "fade"
+  | "slide"
+  | {
+      type: "fade" | "slide";
+      /** Length of the whole transition in milliseconds (default: 500) */
+      duration?: number;
+      /** Which way the scenes move when sliding (default: "left") */
+      direction?: "left" | "right" | "up" | "down";
+    };
+
+/**
+ * A GameCanvas with (optionally) top and bottom bars, like GameInterface.
+ */
+type SceneHost = GameCanvas & {
+  addTopBar?: () => UIBar;
+  addBottomBar?: () => UIBar;
+};
+
+/**
+ * A scene's share of a top or bottom bar. It lives inside the real bar and
+ * is removed along with everything in it when the scene exits.
+ */
+class SceneBar extends UIBar {
+  constructor() {
+    const element = document.createElement("span");
+    element.style.display = "contents";
+    super(element);
+  }
+}
+
+/**
+ * A Scene is one screen of a game, such as a menu, a level or a game-over
+ * screen. Drawings, updates, handlers, timers, tweens and bar controls
+ * added through the scene belong to it: they are removed when the scene
+ * exits, and updates, handlers, timers and tweens stop while another scene
+ * is pushed on top.
+ *
+ * See {@link SceneManager} for switching between scenes.
+ *
+ * @memberof SimpleCanvas
+ */
+export class Scene {
+  /** Name the scene was added to the SceneManager with */
+  public name: string = "";
+  /** Opacity of every drawing in the scene (changed by fade transitions) */
+  public opacity: number = 1;
+  /** Screen offset of every drawing in the scene (changed by slide transitions) */
+  public offsetX: number = 0;
+  public offsetY: number = 0;
+  private config: SceneConfig;
+  private state: "inactive" | "active" | "paused" = "inactive";
+  private game?: SceneHost;
+  private drawings = new Set<number>();
+  private updates = new Set<number>();
+  private handlers: { eventType: string; id: number }[] = [];
+  /** Timers, tweens and timelines started through the scene */
+  private timers = new Set<Timer | Tween | Timeline>();
+  private topBar?: SceneBar;
+  private bottomBar?: SceneBar;
+
+  constructor(config: SceneConfig = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Get the scene's state: "inactive" before it enters and after it exits,
+   * "paused" while another scene is on top of it.
+   */
+  public getState(): "inactive" | "active" | "paused" {
+    return this.state;
+  }
+
+  private getGame(caller: string): SceneHost {
+    if (!this.game || this.state === "inactive") {
+      throw new Error(
+        `Scene ${this.name}: ${caller} can only be called while the scene is running (e.g. in enter)`
+      );
+    }
+    return this.game;
+  }
+
+  /**
+   * Add a drawing that belongs to this scene. Same as GameCanvas.addDrawing,
+   * but the drawing is removed when the scene exits.
+   */
+  public addDrawing(
+    d: Drawer | DrawingCallback,
+    options?: DrawingOptions
+  ): number {
+    const game = this.getGame("addDrawing");
+    let id: number;
+    const drawer: Drawer & Partial<Hittable> = {
+      draw: (params: DrawingParams) => {
+        if (this.opacity <= 0) return;
+        const { ctx } = params;
+        ctx.save();
+        if (this.offsetX || this.offsetY) {
+          // Offset in screen space, whatever the camera is doing.
+          const m = ctx.getTransform();
+          const r = game.getPixelRatio();
+          ctx.setTransform(
+            m.a,
+            m.b,
+            m.c,
+            m.d,
+            m.e + this.offsetX * r,
+            m.f + this.offsetY * r
+          );
+        }
+        ctx.globalAlpha *= this.opacity;
+        const childParams = {
+          ...params,
+          remove: () => {
+            this.drawings.delete(id);
+            params.remove();
+          },
+        };
+        if ((d as Drawer).draw) {
+          (d as Drawer).draw(childParams);
+        } else {
+          (d as DrawingCallback)(childParams);
+        }
+        ctx.restore();
+      },
+    };
+    const hittable = d as Partial<Hittable>;
+    if (typeof hittable.hitTest === "function") {
+      drawer.hitTest = (x, y, accepts) =>
+        this.state === "active" ? hittable.hitTest!(x, y, accepts) : undefined;
+    }
+    id = game.addDrawing(drawer, options);
+    this.drawings.add(id);
+    return id;
+  }
+
+  /**
+   * Remove a drawing added with addDrawing before the scene exits.
+   */
+  public removeDrawing(id: number) {
+    this.drawings.delete(id);
+    this.getGame("removeDrawing").removeDrawing(id);
+  }
+
+  /**
+   * Add an update that belongs to this scene. It only runs while the scene
+   * is active (not paused) and is removed when the scene exits.
+   */
+  public addUpdate(u: Updater | UpdateCallback): number {
+    const game = this.getGame("addUpdate");
+    const update = typeof u === "function" ? u : u.update.bind(u);
+    const id = game.addUpdate((params) => {
+      if (this.state !== "active") return;
+      update({
+        ...params,
+        remove: () => {
+          this.updates.delete(id);
+          params.remove();
+        },
+      });
+    });
+    this.updates.add(id);
+    return id;
+  }
+
+  /**
+   * Remove an update added with addUpdate before the scene exits.
+   */
+  public removeUpdate(id: number) {
+    this.updates.delete(id);
+    this.getGame("removeUpdate").removeUpdate(id);
+  }
+
+  /**
+   * Add an event handler that belongs to this scene. Same as
+   * GameCanvas.addHandler, but the handler is only called while the scene
+   * is active (not paused) and is removed when the scene exits.
+   */
+  public addHandler = ((eventType: string, h: Function): number => {
+    const game = this.getGame("addHandler");
+    const id = (game.addHandler as Function)(eventType, (params: any) =>
+      this.state === "active" ? h(params) : undefined
+    );
+    this.handlers.push({ eventType, id });
+    return id;
+  }) as GameCanvas["addHandler"];
+
+  /**
+   * Remove a handler added with addHandler before the scene exits.
+   */
+  public removeHandler(eventType: string, id: number) {
+    this.handlers = this.handlers.filter(
+      (h) => h.eventType !== eventType || h.id !== id
+    );
+    this.getGame("removeHandler").removeHandler(eventType, id);
+  }
+
+  /**
+   * Call a function once after some game time has passed. Same as
+   * GameCanvas.after, but the timer stops while the scene is paused and is
+   * cancelled when it exits.
+   */
+  public after(ms: number, fn: (timer: Timer) => void): Timer {
+    return this.trackTimer(this.getGame("after").after(ms, fn));
+  }
+
+  /**
+   * Call a function every time some game time passes. Same as
+   * GameCanvas.every, but the timer stops while the scene is paused and is
+   * cancelled when it exits.
+   */
+  public every(ms: number, fn: (timer: Timer) => void): Timer {
+    return this.trackTimer(this.getGame("every").every(ms, fn));
+  }
+
+  /**
+   * Wait for some game time to pass while the scene is active. If the
+   * scene exits first, the promise never resolves, so code after the
+   * `await` doesn't run in a scene that has ended.
+   */
+  public wait(ms: number): Promise<void> {
+    return new Promise((resolve) => this.after(ms, () => resolve()));
+  }
+
+  /**
+   * Animate numeric properties of an object. Same as GameCanvas.tween,
+   * but the tween stops while the scene is paused. If the scene exits
+   * first, the tween is dropped without resolving, like {@link wait}.
+   */
+  public tween(
+    target: any,
+    props: Record<string, number>,
+    options?: TweenOptions
+  ): Tween {
+    return this.trackTimer(this.getGame("tween").tween(target, props, options));
+  }
+
+  /**
+   * Create a timeline to play tweens one after another. Same as
+   * GameCanvas.timeline, but the timeline stops while the scene is paused.
+   * If the scene exits first, it is dropped without resolving, like
+   * {@link wait}.
+   */
+  public timeline(): Timeline {
+    return this.trackTimer(this.getGame("timeline").timeline());
+  }
+
+  private trackTimer<T extends Timer | Tween | Timeline>(timer: T): T {
+    for (const t of this.timers) {
+      if (t.isFinished()) this.timers.delete(t);
+    }
+    this.timers.add(timer);
+    return timer;
+  }
+
+  /**
+   * Get this scene's part of the top bar (creating the bar if needed).
+   * Controls added to it are hidden while the scene is paused and removed
+   * when it exits. Requires a GameInterface.
+   */
+  public addTopBar(): UIBar {
+    if (!this.topBar) {
+      const game = this.getGame("addTopBar");
+      if (!game.addTopBar) {
+        throw new Error(`Scene ${this.name}: addTopBar needs a GameInterface`);
+      }
+      this.topBar = new SceneBar();
+      game.addTopBar().getElement().appendChild(this.topBar.getElement());
+    }
+    return this.topBar;
+  }
+
+  /**
+   * Get this scene's part of the bottom bar (creating the bar if needed).
+   * Controls added to it are hidden while the scene is paused and removed
+   * when it exits. Requires a GameInterface.
+   */
+  public addBottomBar(): UIBar {
+    if (!this.bottomBar) {
+      const game = this.getGame("addBottomBar");
+      if (!game.addBottomBar) {
+        throw new Error(
+          `Scene ${this.name}: addBottomBar needs a GameInterface`
+        );
+      }
+      this.bottomBar = new SceneBar();
+      game.addBottomBar().getElement().appendChild(this.bottomBar.getElement());
+    }
+    return this.bottomBar;
+  }
+
+  private setBarsVisible(visible: boolean) {
+    for (const bar of [this.topBar, this.bottomBar]) {
+      if (bar) bar.getElement().style.display = visible ? "contents" : "none";
+    }
+  }
+
+  /** Start the scene. Called by SceneManager. */
+  public enter(game: SceneHost, data?: any) {
+    this.game = game;
+    this.state = "active";
+    this.config.enter?.(this, data);
+  }
+
+  /** Stop running updates, handlers, timers and tweens. Called by SceneManager. */
+  public pause() {
+    if (this.state !== "active") return;
+    this.state = "paused";
+    this.setBarsVisible(false);
+    this.timers.forEach((timer) => timer.pause());
+    this.config.pause?.(this);
+  }
+
+  /** Start running updates, handlers, timers and tweens again. Called by SceneManager. */
+  public resume() {
+    if (this.state !== "paused") return;
+    this.state = "active";
+    this.setBarsVisible(true);
+    this.timers.forEach((timer) => timer.resume());
+    this.config.resume?.(this);
+  }
+
+  /** End the scene and remove everything it added. Called by SceneManager. */
+  public exit() {
+    if (this.state === "inactive") return;
+    this.config.exit?.(this);
+    const game = this.game!;
+    this.drawings.forEach((id) => game.removeDrawing(id));
+    this.updates.forEach((id) => game.removeUpdate(id));
+    this.handlers.forEach(({ eventType, id }) =>
+      game.removeHandler(eventType, id)
+    );
+    // Like wait(), scene tweens never settle once the scene has ended, so
+    // code awaiting them doesn't carry on in an exited scene.
+    this.timers.forEach((timer) =>
+      timer instanceof Timer ? timer.cancel() : timer.discard()
+    );
+    for (const bar of [this.topBar, this.bottomBar]) {
+      bar?.clear();
+      bar?.getElement().remove();
+    }
+    this.drawings.clear();
+    this.updates.clear();
+    this.handlers = [];
+    this.timers.clear();
+    this.topBar = undefined;
+    this.bottomBar = undefined;
+    this.opacity = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.state = "inactive";
+  }
+}
+
+/**
+ * SceneManager switches between scenes and keeps a stack of them, so a
+ * pause menu can sit on top of gameplay.
+ *
+ * Every GameInterface has one at `gi.scenes`. Switching scenes exits
+ * every scene on the stack, which removes the drawings, updates, handlers
+ * and bar controls they added through the scene.
+ *
+ * Scene changes happen in order, one at a time; each method returns a
+ * Promise that resolves once its transition has finished. Transitions
+ * animate while the game is running.
+ *
+ * @example <caption>A menu, a level and a pause menu</caption>
+ * ```typescript
+ * gi.scenes.add("menu", {
+ *   enter(scene) {
+ *     scene.addDrawing(({ ctx }) => ctx.fillText("Click to play", 100, 100));
+ *     scene.addHandler("click", () => { gi.scenes.switchTo("level", { level: 1 }, "fade"); });
+ *   },
+ * });
+ * gi.scenes.add("level", {
+ *   enter(scene, { level }) {
+ *     scene.addDrawing(drawLevel);
+ *     scene.addUpdate(updatePlayer);
+ *     scene.addTopBar().addButton({ text: "Pause", onclick: () => gi.scenes.push("paused") });
+ *   },
+ * });
+ * gi.scenes.add("paused", {
+ *   enter(scene) {
+ *     scene.addDrawing(drawPauseMenu);
+ *     scene.addTopBar().addButton({ text: "Resume", onclick: () => gi.scenes.pop() });
+ *   },
+ * });
+ * gi.scenes.switchTo("menu");
+ * gi.run();
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class SceneManager {
+  private game: SceneHost;
+  private scenes = new Map<string, Scene>();
+  private stack: Scene[] = [];
+  /** The last queued scene change; the next one waits for it */
+  private pending: Promise<void> = Promise.resolve();
+
+  constructor(game: SceneHost) {
+    this.game = game;
+  }
+
+  /**
+   * Register a scene by name.
+   *
+   * @param name - name to use in switchTo and push
+   * @param scene - a Scene, or the hooks to make one from
+   */
+  public add(name: string, scene: Scene | SceneConfig): Scene {
+    const s = scene instanceof Scene ? scene : new Scene(scene);
+    s.name = name;
+    this.scenes.set(name, s);
+    return s;
+  }
+
+  /**
+   * Get a registered scene by name.
+   */
+  public get(name: string): Scene | undefined {
+    return this.scenes.get(name);
+  }
+
+  /**
+   * Get the scene on top of the stack.
+   */
+  public getCurrent(): Scene | undefined {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Get every scene on the stack, bottom to top.
+   */
+  public getStack(): Scene[] {
+    return [...this.stack];
+  }
+
+  private lookup(scene: string | Scene): Scene {
+    if (scene instanceof Scene) return scene;
+    const found = this.scenes.get(scene);
+    if (!found) {
+      throw new Error(
+        `No scene named ${scene}. Add it first with scenes.add. Known scenes: ${[
+          ...this.scenes.keys(),
+        ].join(",")}`
+      );
+    }
+    return found;
+  }
+
+  private queue(change: () => Promise<void> | void): Promise<void> {
+    const result = this.pending.then(change);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Exit every scene on the stack and enter a new one.
+   *
+   * @param scene - name of the scene (or the Scene itself)
+   * @param data - passed to the scene's enter hook
+   * @param transition - optional "fade" or "slide" transition
+   */
+  public switchTo(
+    scene: string | Scene,
+    data?: any,
+    transition?: SceneTransition
+  ): Promise<void> {
+    const next = this.lookup(scene);
+    return this.queue(async () => {
+      const old = [...this.stack].reverse();
+      if (getType(transition) === "fade") {
+        const half = getDuration(transition) / 2;
+        await this.animate(half, (t) =>
+          old.forEach((s) => (s.opacity = 1 - t))
+        );
+        old.forEach((s) => s.exit());
+        this.stack = [next];
+        next.opacity = 0;
+        next.enter(this.game, data);
+        await this.animate(half, (t) => (next.opacity = t));
+      } else if (getType(transition) === "slide" && !old.includes(next)) {
+        // (Restarting the scene that is showing can't slide: it can't be
+        // in two places at once.)
+        const [dx, dy] = this.getSlideVector(transition);
+        next.enter(this.game, data);
+        this.stack.push(next);
+        await this.animate(getDuration(transition), (t) => {
+          old.forEach((s) => this.setOffset(s, -dx * t, -dy * t));
+          this.setOffset(next, dx * (1 - t), dy * (1 - t));
+        });
+        old.forEach((s) => s.exit());
+        this.stack = [next];
+      } else {
+        old.forEach((s) => s.exit());
+        this.stack = [next];
+        next.enter(this.game, data);
+      }
+    });
+  }
+
+  /**
+   * Pause the current scene and enter a new one on top of it (e.g. a pause
+   * menu). The paused scene keeps drawing but its updates and handlers
+   * stop until the new scene is popped.
+   *
+   * @param scene - name of the scene (or the Scene itself)
+   * @param data - passed to the scene's enter hook
+   * @param transition - optional "fade" or "slide" transition
+   */
+  public push(
+    scene: string | Scene,
+    data?: any,
+    transition?: SceneTransition
+  ): Promise<void> {
+    const next = this.lookup(scene);
+    return this.queue(async () => {
+      if (this.stack.includes(next)) {
+        throw new Error(`Scene ${next.name} is already on the stack`);
+      }
+      this.getCurrent()?.pause();
+      this.stack.push(next);
+      next.enter(this.game, data);
+      await this.transitionIn(next, transition);
+    });
+  }
+
+  /**
+   * Exit the scene on top of the stack and resume the one below it.
+   *
+   * @param transition - optional "fade" or "slide" transition
+   */
+  public pop(transition?: SceneTransition): Promise<void> {
+    return this.queue(async () => {
+      const top = this.getCurrent();
+      if (!top) {
+        console.log("WARNING: Attempt to pop a scene with no scenes running");
+        return;
+      }
+      await this.transitionOut(top, transition);
+      top.exit();
+      this.stack.pop();
+      this.getCurrent()?.resume();
+    });
+  }
+
+  private transitionIn(scene: Scene, transition?: SceneTransition) {
+    const duration = getDuration(transition);
+    if (getType(transition) === "fade") {
+      return this.animate(duration, (t) => (scene.opacity = t));
+    }
+    if (getType(transition) === "slide") {
+      const [dx, dy] = this.getSlideVector(transition);
+      return this.animate(duration, (t) =>
+        this.setOffset(scene, dx * (1 - t), dy * (1 - t))
+      );
+    }
+  }
+
+  private transitionOut(scene: Scene, transition?: SceneTransition) {
+    const duration = getDuration(transition);
+    if (getType(transition) === "fade") {
+      return this.animate(duration, (t) => (scene.opacity = 1 - t));
+    }
+    if (getType(transition) === "slide") {
+      const [dx, dy] = this.getSlideVector(transition);
+      return this.animate(duration, (t) =>
+        this.setOffset(scene, -dx * t, -dy * t)
+      );
+    }
+  }
+
+  /** Where a sliding scene starts, relative to where it ends up */
+  private getSlideVector(transition?: SceneTransition): [number, number] {
+    const { width, height } = this.game.getSize();
+    const direction =
+      (typeof transition === "object" && transition.direction) || "left";
+    switch (direction) {
+      case "left":
+        return [width, 0];
+      case "right":
+        return [-width, 0];
+      case "up":
+        return [0, height];
+      case "down":
+        return [0, -height];
+    }
+  }
+
+  private setOffset(scene: Scene, x: number, y: number) {
+    scene.offsetX = x;
+    scene.offsetY = y;
+  }
+
+  /**
+   * Call step with t going from 0 to 1 over duration milliseconds of game
+   * time, resolving when t reaches 1.
+   */
+  private async animate(
+    duration: number,
+    step: (t: number) => void
+  ): Promise<void> {
+    step(0);
+    if (duration <= 0) {
+      step(1);
+      return;
+    }
+    // A tween rather than an update: adding an update would change when
+    // justPressed is cleared, and tweens already follow the game clock.
+    const progress = { t: 0 };
+    await this.game.tween(
+      progress,
+      { t: 1 },
+      { duration, onUpdate: () => step(progress.t) }
+    );
+  }
+}
+
+function getType(transition?: SceneTransition) {
+  return typeof transition === "object" ? transition.type : transition;
+}
+
+function getDuration(transition?: SceneTransition) {
+  return (
+    (typeof transition === "object" ? transition.duration : undefined) ?? 500
+  );
+}
@@ -0,0 +1,393 @@
+import { DrawingParams, Hittable, InteractiveTarget } from "./types";
+
+/**
+ * Options shared by every shape.
+ */
+export type ShapeConfig = InteractiveTarget & {
+  x?: number;
+  y?: number;
+  /** Rotation in radians around the shape's center (default: 0) */
+  rotation?: number;
+  /** Fill color (if neither fill nor stroke is set, the shape is filled with the current fillStyle) */
+  fill?: string;
+  /** Outline color */
+  stroke?: string;
+  /** Outline width (default: 1) */
+  lineWidth?: number;
+  /** Whether to draw the shape and let it receive events (default: true) */
+  visible?: boolean;
+};
+
+/**
+ * Base class for shapes that remember their own position and colors, and
+ * know whether a point is inside them.
+ *
+ * Shapes are drawings: pass them to addDrawing. GameCanvas then calls
+ * their onclick, onhover and ondrag callbacks when the pointer is over the
+ * topmost shape with that callback.
+ *
+ * @example <caption>Click circles to change their color</caption>
+ * ```typescript
+ * for (let i = 0; i < 10; i++) {
+ *   const circle = new Circle({
+ *     x: Math.random() * 400,
+ *     y: Math.random() * 400,
+ *     radius: 30,
+ *     fill: "blue",
+ *     onclick: () => { circle.fill = "red"; },
+ *   });
+ *   game.addDrawing(circle);
+ * }
+ * ```
+ *
+ * @example <caption>A rectangle you can drag around</caption>
+ * ```typescript
+ * const box = new Rect({
+ *   x: 50, y: 50, width: 80, height: 40, fill: "orange",
+ *   ondrag: ({ dx, dy }) => { box.x += dx; box.y += dy; },
+ * });
+ * game.addDrawing(box);
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export abstract class Shape implements Hittable, InteractiveTarget {
+  public x: number;
+  public y: number;
+  public rotation: number;
+  public fill?: string;
+  public stroke?: string;
+  public lineWidth: number;
+  public visible: boolean;
+  public onclick?: InteractiveTarget["onclick"];
+  public onhover?: InteractiveTarget["onhover"];
+  public ondrag?: InteractiveTarget["ondrag"];
+
+  constructor(config: ShapeConfig) {
+    this.x = config.x ?? 0;
+    this.y = config.y ?? 0;
+    this.rotation = config.rotation ?? 0;
+    this.fill = config.fill;
+    this.stroke = config.stroke;
+    this.lineWidth = config.lineWidth ?? 1;
+    this.visible = config.visible ?? true;
+    this.onclick = config.onclick;
+    this.onhover = config.onhover;
+    this.ondrag = config.ondrag;
+  }
+
+  /** The point the shape rotates around */
+  protected abstract get pivot(): { x: number; y: number };
+
+  /** Add the shape's outline to the current path (ignoring rotation) */
+  protected abstract tracePath(ctx: CanvasRenderingContext2D): void;
+
+  /** Whether an (unrotated) point is inside the shape */
+  protected abstract containsUnrotated(x: number, y: number): boolean;
+
+  /**
+   * Draw the shape. Called by GameCanvas when the shape is added with addDrawing.
+   */
+  public draw({ ctx }: DrawingParams) {
+    if (!this.visible) return;
+    ctx.save();
+    if (this.rotation) {
+      const { x, y } = this.pivot;
+      ctx.translate(x, y);
+      ctx.rotate(this.rotation);
+      ctx.translate(-x, -y);
+    }
+    ctx.beginPath();
+    this.tracePath(ctx);
+    this.paint(ctx);
+    ctx.restore();
+  }
+
+  /** Fill and/or stroke the current path */
+  protected paint(ctx: CanvasRenderingContext2D) {
+    if (this.fill || !this.stroke) {
+      if (this.fill) ctx.fillStyle = this.fill;
+      ctx.fill();
+    }
+    if (this.stroke) {
+      ctx.strokeStyle = this.stroke;
+      ctx.lineWidth = this.lineWidth;
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Is the point (in the coordinates the shape is drawn in) inside the shape?
+   */
+  public containsPoint(x: number, y: number): boolean {
+    if (this.rotation) {
+      // Rotate the point backwards instead of rotating the shape.
+      const pivot = this.pivot;
+      const cos = Math.cos(-this.rotation);
+      const sin = Math.sin(-this.rotation);
+      const dx = x - pivot.x;
+      const dy = y - pivot.y;
+      x = pivot.x + dx * cos - dy * sin;
+      y = pivot.y + dx * sin + dy * cos;
+    }
+    return this.containsUnrotated(x, y);
+  }
+
+  /**
+   * Return this shape if it is visible, contains the point and accepts the event.
+   */
+  public hitTest(
+    x: number,
+    y: number,
+    accepts: (target: InteractiveTarget) => boolean
+  ): InteractiveTarget | undefined {
+    if (this.visible && accepts(this) && this.containsPoint(x, y)) {
+      return this;
+    }
+  }
+}
+
+/**
+ * A circle centered on x, y.
+ * @memberof SimpleCanvas
+ */
+export class Circle extends Shape {
+  public radius: number;
+
+  constructor(config: ShapeConfig & { radius: number }) {
+    super(config);
+    this.radius = config.radius;
+  }
+
+  protected get pivot() {
+    return { x: this.x, y: this.y };
+  }
+
+  protected tracePath(ctx: CanvasRenderingContext2D) {
+    ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+  }
+
+  protected containsUnrotated(x: number, y: number) {
+    return Math.hypot(x - this.x, y - this.y) <= this.radius;
+  }
+}
+
+/**
+ * A rectangle with its top-left corner at x, y (it rotates around its center).
+ * @memberof SimpleCanvas
+ */
+export class Rect extends Shape {
+  public width: number;
+  public height: number;
+
+  constructor(config: ShapeConfig & { width: number; height: number }) {
+    super(config);
+    this.width = config.width;
+    this.height = config.height;
+  }
+
+  protected get pivot() {
+    return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+  }
+
+  protected tracePath(ctx: CanvasRenderingContext2D) {
+    ctx.rect(this.x, this.y, this.width, this.height);
+  }
+
+  protected containsUnrotated(x: number, y: number) {
+    return (
+      x >= this.x &&
+      x <= this.x + this.width &&
+      y >= this.y &&
+      y <= this.y + this.height
+    );
+  }
+}
+
+/**
+ * A closed polygon whose points are relative to x, y (it rotates around x, y).
+ *
+ * @example
+ * ```typescript
+ * const triangle = new Polygon({
+ *   x: 100, y: 100, fill: "green",
+ *   points: [{ x: 0, y: -30 }, { x: 30, y: 20 }, { x: -30, y: 20 }],
+ * });
+ * ```
+ * @memberof SimpleCanvas
+ */
+export class Polygon extends Shape {
+  public points: { x: number; y: number }[];
+
+  constructor(config: ShapeConfig & { points: { x: number; y: number }[] }) {
+    super(config);
+    this.points = config.points;
+  }
+
+  protected get pivot() {
+    return { x: this.x, y: this.y };
+  }
+
+  protected tracePath(ctx: CanvasRenderingContext2D) {
+    this.points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(this.x + p.x, this.y + p.y);
+      else ctx.lineTo(this.x + p.x, this.y + p.y);
+    });
+    ctx.closePath();
+  }
+
+  protected containsUnrotated(x: number, y: number) {
+    // Count how many edges a ray going right from the point crosses.
+    let inside = false;
+    const px = x - this.x;
+    const py = y - this.y;
+    for (
+      let i = 0, j = this.points.length - 1;
+      i < this.points.length;
+      j = i++
+    ) {
+      const a = this.points[i];
+      const b = this.points[j];
+      if (
+        a.y > py !== b.y > py &&
+        px < ((b.x - a.x) * (py - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+/**
+ * A line from x, y to x2, y2 (it rotates around its middle).
+ * @memberof SimpleCanvas
+ */
+export class Line extends Shape {
+  public x2: number;
+  public y2: number;
+  /** How close (in pixels) the pointer must be to count as touching the line (default: 4) */
+  public hitTolerance: number;
+
+  constructor(
+    config: ShapeConfig & { x2: number; y2: number; hitTolerance?: number }
+  ) {
+    super(config);
+    this.x2 = config.x2;
+    this.y2 = config.y2;
+    this.hitTolerance = config.hitTolerance ?? 4;
+  }
+
+  protected get pivot() {
+    return { x: (this.x + this.x2) / 2, y: (this.y + this.y2) / 2 };
+  }
+
+  protected tracePath(ctx: CanvasRenderingContext2D) {
+    ctx.moveTo(this.x, this.y);
+    ctx.lineTo(this.x2, this.y2);
+  }
+
+  protected paint(ctx: CanvasRenderingContext2D) {
+    // Lines have nothing to fill, so the fill color is used if there is no stroke.
+    const color = this.stroke ?? this.fill;
+    if (color) ctx.strokeStyle = color;
+    ctx.lineWidth = this.lineWidth;
+    ctx.stroke();
+  }
+
+  protected containsUnrotated(x: number, y: number) {
+    const dx = this.x2 - this.x;
+    const dy = this.y2 - this.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Find the closest point on the line, clamped to its ends.
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(
+            0,
+            Math.min(1, ((x - this.x) * dx + (y - this.y) * dy) / lengthSquared)
+          );
+    const distance = Math.hypot(x - (this.x + t * dx), y - (this.y + t * dy));
+    return distance <= Math.max(this.lineWidth / 2, this.hitTolerance);
+  }
+}
+
+/**
+ * Text positioned by x, y (top-left by default; see align and baseline).
+ * @memberof SimpleCanvas
+ */
+export class Text extends Shape {
+  public text: string;
+  /** CSS font (default: "16px sans-serif") */
+  public font: string;
+  public align: CanvasTextAlign;
+  public baseline: CanvasTextBaseline;
+  /** Width of the text the last time it was drawn */
+  private measuredWidth?: number;
+
+  constructor(
+    config: ShapeConfig & {
+      text: string;
+      font?: string;
+      align?: CanvasTextAlign;
+      baseline?: CanvasTextBaseline;
+    }
+  ) {
+    super(config);
+    this.text = config.text;
+    this.font = config.font ?? "16px sans-serif";
+    this.align = config.align ?? "left";
+    this.baseline = config.baseline ?? "top";
+  }
+
+  private get fontSize() {
+    return parseFloat(this.font.match(/([\d.]+)px/)?.[1] ?? "16");
+  }
+
+  /** The box around the text, estimated until the text has been drawn once */
+  private get box() {
+    const width = this.measuredWidth ?? this.text.length * this.fontSize * 0.6;
+    const height = this.fontSize;
+    const left =
+      this.align === "center"
+        ? this.x - width / 2
+        : this.align === "right" || this.align === "end"
+        ? this.x - width
+        : this.x;
+    const top =
+      this.baseline === "middle"
+        ? this.y - height / 2
+        : this.baseline === "top" || this.baseline === "hanging"
+        ? this.y
+        : this.y - height;
+    return { left, top, width, height };
+  }
+
+  protected get pivot() {
+    const { left, top, width, height } = this.box;
+    return { x: left + width / 2, y: top + height / 2 };
+  }
+
+  protected tracePath() {}
+
+  protected paint(ctx: CanvasRenderingContext2D) {
+    ctx.font = this.font;
+    ctx.textAlign = this.align;
+    ctx.textBaseline = this.baseline;
+    this.measuredWidth = ctx.measureText(this.text).width;
+    if (this.fill || !this.stroke) {
+      if (this.fill) ctx.fillStyle = this.fill;
+      ctx.fillText(this.text, this.x, this.y);
+    }
+    if (this.stroke) {
+      ctx.strokeStyle = this.stroke;
+      ctx.lineWidth = this.lineWidth;
+      ctx.strokeText(this.text, this.x, this.y);
+    }
+  }
+
+  protected containsUnrotated(x: number, y: number) {
+    const { left, top, width, height } = this.box;
+    return x >= left && x <= left + width && y >= top && y <= top + height;
+  }
+}
@@ -1,14 +1,77 @@
 import { DrawingParams } from "./types";
+import { AtlasData, parseAtlas } from "./Atlas";
+import { getSharedImage } from "./AssetLoader";
+import type { Bounds, Point } from "./Collision";
 console.log("Importing Sprite.ts");
+
+/**
+ * A frame anywhere on the sheet, for sheets that aren't a uniform grid
+ * (see {@link Sprite.fromAtlas}).
+ */
+export type SpriteFrame = {
+  name?: string;
+  /** Where the frame is on the sheet */
+  x: number;
+  y: number;
+  /** Size of the frame (before rotation, if rotated) */
+  width: number;
+  height: number;
+  /** If true, the frame is stored turned 90° clockwise on the sheet */
+  rotated?: boolean;
+  /** Where a trimmed frame sits inside its original, untrimmed size */
+  offsetX?: number;
+  offsetY?: number;
+  /** Untrimmed size (default: width and height) */
+  sourceWidth?: number;
+  sourceHeight?: number;
+  /** How long to show the frame in milliseconds (default: from frameRate) */
+  duration?: number;
+};
+
+/**
+ * A named animation: which frames of the sheet to show and how fast.
+ */
+export type SpriteAnimation = {
+  /** Frame numbers to show, in order */
+  frames: number[];
+  /** Frames per second (default: each frame's duration, or the sprite's frameRate) */
+  frameRate?: number;
+  /** Whether to loop (default: true) */
+  repeat?: boolean;
+  /** Animation to play when this one finishes (only for repeat: false) */
+  next?: string;
+};
+
+/**
+ * Switch to the animation `to` while playing `from` whenever `when`
+ * returns true. Use "*" for `from` to switch from any animation.
+ */
+export type SpriteTransition = {
+  from: string | string[];
+  to: string;
+  when: (sprite: Sprite) => boolean;
+};
+
+/**
+ * Anything a Sprite can draw frames from.
+ */
+export type SpriteImageSource =
+  | HTMLImageElement
+  | ImageBitmap
+  | HTMLCanvasElement
+  | OffscreenCanvas;
+
 /**
  * Sprite config type
  */
 export type SpriteConfig = {
-  src: string;
+  src?: string;
+  image?: SpriteImageSource; // An image (loaded or loading), bitmap or canvas to use instead of src
   x?: number;
   y?: number;
-  frameWidth: number;
-  frameHeight: number;
+  frameWidth?: number; // Required unless frameRects is given
+  frameHeight?: number;
+  frameRects?: SpriteFrame[]; // Frames anywhere on the sheet instead of a grid
   frame?: number;
   frames?: number; // Total number of frames to use (overrides calculated frames)
   animate?: boolean;
@@ -19,7 +82,24 @@ export type SpriteConfig = {
   frameRate?: number;
   repeat?: boolean;
   flipHorizontal?: boolean; // Whether to flip the sprite horizontally
+  flipVertical?: boolean; // Whether to flip the sprite upside down
+  anchorX?: number; // Which point x refers to, as a fraction of the width: 0 is the left edge, 0.5 the middle
+  anchorY?: number; // Which point y refers to, as a fraction of the height: 0 is the top edge, 0.5 the middle
+  pivotX?: number; // Point to rotate, scale and flip around, as a fraction of the width (default: 0.5)
+  pivotY?: number; // Point to rotate, scale and flip around, as a fraction of the height (default: 0.5)
+  scaleX?: number;
+  scaleY?: number;
+  alpha?: number; // Opacity from 0 to 1
+  tint?: string; // Color to multiply the image by, e.g. "red" to flash when hit
+  blendMode?: GlobalCompositeOperation; // e.g. "lighter" for glowing effects
   update?: (sprite: Sprite, cfg: any) => void;
+  animations?: { [name: string]: SpriteAnimation };
+  animation?: string; // Animation to start with
+  transitions?: SpriteTransition[];
+  onFrame?: (frame: number, sprite: Sprite) => void;
+  onAnimationEnd?: (animation: string | undefined, sprite: Sprite) => void;
+  onReady?: (sprite: Sprite) => void;
+  onError?: (error: Error, sprite: Sprite) => void;
 };
 
 /**
@@ -56,11 +136,65 @@ export type SpriteConfig = {
  * });
  * ```
  *
+ * @example <caption>Named animations with a state machine</caption>
+ * ```typescript
+ * const hero = new Sprite({
+ *   src: "hero.png",
+ *   frameWidth: 32,
+ *   frameHeight: 32,
+ *   animations: {
+ *     idle: { frames: [0, 1, 2, 3], frameRate: 4 },
+ *     walk: { frames: [8, 9, 10, 11], frameRate: 10 },
+ *     jump: { frames: [16, 17, 18], repeat: false, next: "idle" },
+ *   },
+ *   animation: "idle",
+ *   transitions: [
+ *     { from: "idle", to: "walk", when: () => game.keys.isDown("ArrowRight") },
+ *     { from: "walk", to: "idle", when: () => !game.keys.isDown("ArrowRight") },
+ *   ],
+ *   onFrame: (frame) => {
+ *     if (frame === 10) stepSound.play();
+ *   },
+ * });
+ * game.addHandler("keydown", ({ event }) => {
+ *   if (event.key === " ") hero.play("jump");
+ * });
+ * ```
+ *
+ * @example <caption>Position by the feet, grow and flash red when hit</caption>
+ * ```typescript
+ * const knight = new Sprite({
+ *   src: "knight.png",
+ *   frameWidth: 32,
+ *   frameHeight: 32,
+ *   x: 200,
+ *   y: 300, // where the knight's feet are
+ *   anchorX: 0.5,
+ *   anchorY: 1,
+ *   pivotY: 1, // grow upwards from the feet
+ * });
+ * function hit() {
+ *   knight.tint = "red";
+ *   knight.scaleX = knight.scaleY = 1.2;
+ *   game.after(150, () => {
+ *     knight.tint = undefined;
+ *     knight.scaleX = knight.scaleY = 1;
+ *   });
+ * }
+ * ```
+ *
  * @memberof SimpleCanvas
  */
 export class Sprite {
-  public image: HTMLImageElement;
+  public image: SpriteImageSource;
   public ready: boolean = false;
+  /** Why the image couldn't be loaded, if it couldn't */
+  public error?: Error;
+  /**
+   * Resolves with the sprite once its image has loaded, or rejects if it
+   * can't be loaded.
+   */
+  public readonly loaded: Promise<Sprite>;
   public animate: boolean;
   public frameWidth: number;
   public frameHeight: number;
@@ -76,17 +210,57 @@ export class Sprite {
   public repeat: boolean;
   public removeOnNextFrame?: boolean;
   public frames?: number;
+  /** Where each frame is on the sheet, if it isn't a uniform grid */
+  public frameRects?: SpriteFrame[];
   public flipHorizontal: boolean;
+  public flipVertical: boolean;
+  /** Which point of the sprite x and y refer to, as fractions of its size (0, 0 is the top left) */
+  public anchorX: number;
+  public anchorY: number;
+  /** The point to rotate, scale and flip around, as fractions of the sprite's size (0.5, 0.5 is the middle) */
+  public pivotX: number;
+  public pivotY: number;
+  public scaleX: number;
+  public scaleY: number;
+  /** Opacity from 0 (invisible) to 1 */
+  public alpha: number;
+  /** Color to multiply the image by (undefined for none) */
+  public tint?: string;
+  public blendMode?: GlobalCompositeOperation;
+  public animations: { [name: string]: SpriteAnimation };
+  /** Called before drawing whenever a different frame comes up */
+  public onFrame?: (frame: number, sprite: Sprite) => void;
+  /** Called when an animation finishes (see {@link Sprite.play}) */
+  public onAnimationEnd?: (
+    animation: string | undefined,
+    sprite: Sprite
+  ) => void;
+  /** frameRate from the config, for animations that don't set their own */
+  private defaultFrameRate: number;
+  private readyCallbacks: ((sprite: Sprite) => void)[] = [];
+  private errorCallbacks: ((error: Error, sprite: Sprite) => void)[] = [];
+  /** The URL we couldn't load, for the placeholder */
+  private failedSrc?: string;
+  /** Scratch canvas for drawing tinted frames */
+  private tintCanvas?: HTMLCanvasElement;
+  /** Whether to use frame durations (false if the animation sets a frameRate) */
+  private useFrameDurations: boolean = true;
+  private currentAnimation?: string;
+  private animationQueue: string[] = [];
+  private animationTransitions: SpriteTransition[];
+  private lastFrame?: number;
 
   /**
    * Creates a new Sprite instance.
    *
    * @param config - Configuration object for the sprite
    * @param config.src - URL of SpriteSheet resource.
+   * @param config.image - an image element, ImageBitmap, canvas or OffscreenCanvas to use instead of src
    * @param config.x - Position of Sprite on the canvas (default: 0)
    * @param config.y - Position of Sprite on the canvas (default: 0)
    * @param config.frameWidth - width of each frame of the sprite sheet (required)
    * @param config.frameHeight - height of each frame of the sprite sheet (required)
+   * @param config.frameRects - where each frame is on the sheet, for sheets that aren't a grid (frameWidth and frameHeight then default to the first frame's size)
    * @param config.frame - frame to start on (default: 0).
    * @param config.frameSequence - list of frame indices to run (if not specified, we run all frames in order).
    * @param config.targetWidth - width of sprite to draw on canvas (same as frameWidth if not specified)
@@ -96,10 +270,28 @@ export class Sprite {
    * @param config.repeat - Whether to repeat the animation or play only once (default: true)
    * @param config.angle - Angle to rotate drawing (in radians)
    * @param config.flipHorizontal - Whether to flip the sprite horizontally (default: false)
+   * @param config.flipVertical - Whether to flip the sprite upside down (default: false)
+   * @param config.anchorX - Which point x refers to, as a fraction of the width (default: 0, the left edge)
+   * @param config.anchorY - Which point y refers to, as a fraction of the height (default: 0, the top edge)
+   * @param config.pivotX - Point to rotate, scale and flip around, as a fraction of the width (default: 0.5)
+   * @param config.pivotY - Point to rotate, scale and flip around, as a fraction of the height (default: 0.5)
+   * @param config.scaleX - Horizontal scale on top of targetWidth (default: 1)
+   * @param config.scaleY - Vertical scale on top of targetHeight (default: 1)
+   * @param config.alpha - Opacity from 0 to 1 (default: 1)
+   * @param config.tint - Color to multiply the image by, e.g. "red" (default: none)
+   * @param config.blendMode - Canvas composite operation to draw with, e.g. "lighter" (default: "source-over")
    * @param config.update - a callback to run on each animation frame just before drawing sprite to canvas.
+   * @param config.animations - named animations, e.g. { walk: { frames: [4, 5, 6, 7], frameRate: 8 } }
+   * @param config.animation - name of the animation to start with
+   * @param config.transitions - rules for switching animations automatically (see {@link Sprite.addTransition})
+   * @param config.onFrame - called before drawing whenever a different frame comes up, e.g. to sync sounds or hitboxes
+   * @param config.onAnimationEnd - called when an animation finishes
+   * @param config.onReady - called once the image has loaded (see {@link Sprite.onReady})
+   * @param config.onError - called if the image can't be loaded (see {@link Sprite.onError})
    */
   constructor({
     src,
+    image,
     x = 0,
     y = 0,
     frame = 0,
@@ -108,24 +300,88 @@ export class Sprite {
     frameSequence,
     frameWidth,
     frameHeight,
+    frameRects,
     angle,
     targetWidth,
     targetHeight,
     frameRate = 24,
     repeat = true,
     flipHorizontal = false,
+    flipVertical = false,
+    anchorX = 0,
+    anchorY = 0,
+    pivotX = 0.5,
+    pivotY = 0.5,
+    scaleX = 1,
+    scaleY = 1,
+    alpha = 1,
+    tint,
+    blendMode,
     update,
+    animations = {},
+    animation,
+    transitions = [],
+    onFrame,
+    onAnimationEnd,
+    onReady,
+    onError,
   }: SpriteConfig) {
+    if (frameRects?.length) {
+      const first = frameRects[0];
+      frameWidth = frameWidth ?? first.sourceWidth ?? first.width;
+      frameHeight = frameHeight ?? first.sourceHeight ?? first.height;
+    }
     if (!frameWidth)
       throw new Error("Sprite not provided required parameter frameWidth");
     if (!frameHeight)
       throw new Error("Sprite not provided required parameter frameHeight");
-    if (!src)
+    if (!src && !image)
       throw new Error(
         "Sprite not provided with src or preloaded image: needs parameter src or image"
       );
-    this.image = new Image();
-    this.image.onload = () => {
+    this.frameRects = frameRects;
+    // Sprites with the same src share one image (see AssetLoader).
+    this.image = image ?? getSharedImage(src!);
+    this.animate = animate;
+    this.frameWidth = frameWidth;
+    this.frameHeight = frameHeight;
+    this.frameRate = frameRate;
+    this.defaultFrameRate = frameRate;
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
+    this.frameAnimationIndex = frame;
+    this.frameSequence = frameSequence;
+    this.targetWidth = targetWidth || frameWidth;
+    this.targetHeight = targetHeight || frameHeight;
+    this.update = update;
+    this.repeat = repeat;
+    this.flipHorizontal = flipHorizontal;
+    this.flipVertical = flipVertical;
+    this.anchorX = anchorX;
+    this.anchorY = anchorY;
+    this.pivotX = pivotX;
+    this.pivotY = pivotY;
+    this.scaleX = scaleX;
+    this.scaleY = scaleY;
+    this.alpha = alpha;
+    this.tint = tint;
+    this.blendMode = blendMode;
+    this.animations = animations;
+    this.animationTransitions = [...transitions];
+    this.onFrame = onFrame;
+    this.onAnimationEnd = onAnimationEnd;
+    let resolveLoaded!: (sprite: Sprite) => void;
+    let rejectLoaded!: (error: Error) => void;
+    this.loaded = new Promise((resolve, reject) => {
+      resolveLoaded = resolve;
+      rejectLoaded = reject;
+    });
+    // Failures are drawn and logged, so nobody has to catch this.
+    this.loaded.catch(() => {});
+    if (onReady) this.readyCallbacks.push(onReady);
+    if (onError) this.errorCallbacks.push(onError);
+    const onload = () => {
       this.ready = true;
       // Set frames from parameter or calculate from grid
       if (frames) {
@@ -135,6 +391,8 @@ export class Sprite {
           this.frames,
           "frames (from parameter)"
         );
+      } else if (this.frameRects) {
+        this.frames = this.frameRects.length;
       } else {
         this.frames = this.framesAcross * this.framesDown;
         console.log(
@@ -143,25 +401,230 @@ export class Sprite {
           "frames (calculated from grid)"
         );
       }
+      resolveLoaded(this);
+      for (const callback of this.readyCallbacks) callback(this);
     };
-    this.image.src = src;
-    this.animate = animate;
-    this.frameWidth = frameWidth;
-    this.frameHeight = frameHeight;
-    this.frameRate = frameRate;
-    this.x = x;
-    this.y = y;
-    this.angle = angle;
-    this.frameAnimationIndex = frame;
-    this.frameSequence = frameSequence;
-    this.targetWidth = targetWidth || frameWidth;
-    this.targetHeight = targetHeight || frameHeight;
-    this.update = update;
-    this.repeat = repeat;
-    this.flipHorizontal = flipHorizontal;
+    const onerror = () => {
+      this.failedSrc = (this.image as HTMLImageElement).src || src;
+      this.error = new Error(
+        `Sprite couldn't load image "${this.failedSrc}". Check that the file exists and the path is right.`
+      );
+      console.log("WARNING: " + this.error.message);
+      rejectLoaded(this.error);
+      for (const callback of this.errorCallbacks) callback(this.error, this);
+    };
+    const img = this.image;
+    if (
+      typeof HTMLImageElement === "undefined" ||
+      !(img instanceof HTMLImageElement)
+    ) {
+      // Bitmaps and canvases are ready to draw right away.
+      onload();
+    } else if (img.complete && img.naturalWidth) {
+      onload();
+    } else if (img.complete && img.getAttribute("src")) {
+      onerror();
+    } else {
+      img.addEventListener("load", onload, { once: true });
+      img.addEventListener("error", onerror, { once: true });
+    }
+    if (animation) this.play(animation);
     console.log("Defined sprite with", this.frames, "frames", frames);
   }
 
+  /**
+   * Call a function once the image has loaded (right away if it already
+   * has).
+   *
+   * @example <caption>Add a sprite once it's ready</caption>
+   * ```typescript
+   * new Sprite({ src: "player.png", frameWidth: 32, frameHeight: 32 }).onReady(
+   *   (sprite) => game.addDrawing(sprite)
+   * );
+   * ```
+   */
+  public onReady(callback: (sprite: Sprite) => void): this {
+    if (this.ready) {
+      callback(this);
+    } else if (!this.error) {
+      this.readyCallbacks.push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Call a function if the image can't be loaded (right away if it
+   * already failed). Until then the sprite draws a placeholder showing the
+   * URL it couldn't load.
+   */
+  public onError(callback: (error: Error, sprite: Sprite) => void): this {
+    if (this.error) {
+      callback(this.error, this);
+    } else if (!this.ready) {
+      this.errorCallbacks.push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Add (or replace) a named animation.
+   */
+  public addAnimation(name: string, animation: SpriteAnimation): this {
+    this.animations[name] = animation;
+    return this;
+  }
+
+  /**
+   * Play a named animation from its first frame, dropping any queued
+   * animations. Calling play with the animation that is already playing
+   * does nothing, so it is safe to call every frame; pass restart to start
+   * it over.
+   *
+   * When an animation with repeat: false finishes, onAnimationEnd is
+   * called and the sprite moves on to the next queued animation (or the
+   * animation's `next`), otherwise it stays on its last frame.
+   *
+   * @param name - name of an animation from config.animations or addAnimation
+   * @param restart - start over even if the animation is already playing
+   */
+  public play(name: string, restart: boolean = false): this {
+    const animation = this.getAnimationConfig(name);
+    if (this.currentAnimation === name && !restart) return this;
+    this.currentAnimation = name;
+    this.animationQueue = [];
+    this.frameSequence = animation.frames;
+    this.frameRate = animation.frameRate ?? this.defaultFrameRate;
+    this.useFrameDurations = animation.frameRate === undefined;
+    this.repeat = animation.repeat ?? true;
+    this.frameAnimationIndex = 0;
+    this.animate = true;
+    return this;
+  }
+
+  /**
+   * Play a named animation once the current one finishes. A repeating
+   * animation finishes its current loop first. If nothing is playing, the
+   * animation starts right away.
+   *
+   * @example <caption>Attack, then go back to idle</caption>
+   * ```typescript
+   * knight.play("attack").queue("idle");
+   * ```
+   */
+  public queue(name: string): this {
+    this.getAnimationConfig(name);
+    if (this.currentAnimation === undefined) return this.play(name);
+    this.animationQueue.push(name);
+    return this;
+  }
+
+  /**
+   * Get the name of the animation playing (undefined if none has been
+   * played).
+   */
+  public getAnimation(): string | undefined {
+    return this.currentAnimation;
+  }
+
+  /**
+   * Switch animations automatically. Before each frame is drawn, the first
+   * transition whose `from` matches the current animation (or is "*") and
+   * whose `when` returns true plays `to`.
+   *
+   * @example <caption>Fall when not on the ground</caption>
+   * ```typescript
+   * player.addTransition("*", "fall", () => !body.onGround);
+   * player.addTransition("fall", "idle", () => body.onGround);
+   * ```
+   */
+  public addTransition(
+    from: string | string[],
+    to: string,
+    when: (sprite: Sprite) => boolean
+  ): this {
+    this.getAnimationConfig(to);
+    this.animationTransitions.push({ from, to, when });
+    return this;
+  }
+
+  private getAnimationConfig(name: string): SpriteAnimation {
+    const animation = this.animations[name];
+    if (!animation) {
+      throw new Error(
+        `Sprite has no animation named "${name}". Animations are: ${
+          Object.keys(this.animations).join(", ") || "(none)"
+        }`
+      );
+    }
+    return animation;
+  }
+
+  private runTransitions() {
+    for (const { from, to, when } of this.animationTransitions) {
+      const matches =
+        from === "*" ||
+        from === this.currentAnimation ||
+        (Array.isArray(from) && from.includes(this.currentAnimation!));
+      if (matches && to !== this.currentAnimation && when(this)) {
+        this.play(to);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Work out where frameAnimationIndex will be after `ms` milliseconds,
+   * one frame at a time if frames have their own durations.
+   */
+  private advanceIndex(ms: number, length: number): number {
+    const frameTime = 1000 / this.frameRate;
+    let index = this.frameAnimationIndex;
+    if (!this.useFrameDurations || !this.frameRects?.some((f) => f.duration)) {
+      return index + ms / frameTime;
+    }
+    while (true) {
+      const whole = Math.floor(index);
+      const position = whole % length;
+      const frame = this.frameSequence
+        ? this.frameSequence[position]
+        : position;
+      const duration = this.frameRects[frame]?.duration || frameTime;
+      const left = (whole + 1 - index) * duration;
+      if (ms < left) return index + ms / duration;
+      ms -= left;
+      index = whole + 1;
+      if (!this.repeat && index >= length) return index;
+    }
+  }
+
+  /**
+   * Move the animation forward, moving on to queued animations and
+   * calling onAnimationEnd when it reaches the end.
+   */
+  private advanceAnimation(ms: number) {
+    const before = this.frameAnimationIndex;
+    const length = this.frameSequence?.length ?? this.frames ?? 1;
+    this.frameAnimationIndex = this.advanceIndex(ms, length);
+    if (before >= length || this.frameAnimationIndex < length) return;
+    const name = this.currentAnimation;
+    const next =
+      this.animationQueue.shift() ??
+      (this.repeat || name === undefined
+        ? undefined
+        : this.animations[name]?.next);
+    if (this.repeat && next === undefined) {
+      this.frameAnimationIndex %= length;
+      return;
+    }
+    this.onAnimationEnd?.(name, this);
+    // onAnimationEnd may have started another animation itself.
+    if (next !== undefined && this.currentAnimation === name) {
+      const queued = this.animationQueue;
+      this.play(next, true);
+      this.animationQueue = queued;
+    }
+  }
+
   get framesAcross() {
     return this.image.width / this.frameWidth;
   }
@@ -176,7 +639,7 @@ export class Sprite {
           this.frameAnimationIndex % this.frameSequence.length;
         return this.frameSequence[Math.floor(sequenceIndex)];
       } else {
-        return this.frameAnimationIndex % totalFrames;
+        return Math.floor(this.frameAnimationIndex) % totalFrames;
       }
     } else {
       if (this.frameSequence) {
@@ -205,13 +668,280 @@ export class Sprite {
   }
 
   /**
-   * Create a copy of sprite.
+   * Get the box the sprite is drawn in, after anchorX/anchorY, scaleX/scaleY
+   * and flipping (but not rotation). Collision checks, physics bodies and
+   * the camera use this, so they match what's on screen.
+   */
+  public getBounds(): Bounds {
+    const width = this.targetWidth;
+    const height = this.targetHeight;
+    const left = this.x - this.anchorX * width;
+    const top = this.y - this.anchorY * height;
+    const pivotX = left + this.pivotX * width;
+    const pivotY = top + this.pivotY * height;
+    const scaleX = this.scaleX * (this.flipHorizontal ? -1 : 1);
+    const scaleY = this.scaleY * (this.flipVertical ? -1 : 1);
+    // Where the edges end up after scaling around the pivot
+    const x1 = pivotX + (left - pivotX) * scaleX;
+    const x2 = pivotX + (left + width - pivotX) * scaleX;
+    const y1 = pivotY + (top - pivotY) * scaleY;
+    const y2 = pivotY + (top + height - pivotY) * scaleY;
+    return {
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+    };
+  }
+
+  /**
+   * Get the corners of the sprite as drawn, after anchor, scale, flipping
+   * and rotating by angle around the pivot. Collision checks use this, so
+   * a rotated sprite collides where it appears.
+   */
+  public getCorners(): Point[] {
+    const width = this.targetWidth;
+    const height = this.targetHeight;
+    const left = this.x - this.anchorX * width;
+    const top = this.y - this.anchorY * height;
+    const pivotX = left + this.pivotX * width;
+    const pivotY = top + this.pivotY * height;
+    const scaleX = this.scaleX * (this.flipHorizontal ? -1 : 1);
+    const scaleY = this.scaleY * (this.flipVertical ? -1 : 1);
+    const cos = Math.cos(this.angle ?? 0);
+    const sin = Math.sin(this.angle ?? 0);
+    // The same transform as draw: rotate around the pivot, then scale.
+    return [
+      [left, top],
+      [left + width, top],
+      [left + width, top + height],
+      [left, top + height],
+    ].map(([x, y]) => {
+      const dx = x - pivotX;
+      const dy = y - pivotY;
+      return {
+        x: pivotX + (dx * cos - dy * sin) * scaleX,
+        y: pivotY + (dx * sin + dy * cos) * scaleY,
+      };
+    });
+  }
+
+  /**
+   * Draw one frame of the sheet at a position, without animating. Used by
+   * draw, and handy for drawing the same sprite in many places (e.g. tiles
+   * or particles).
+   *
+   * @param ctx - the drawing context
+   * @param frame - frame number
+   * @param x - left edge
+   * @param y - top edge
+   * @param width - width to draw at (default: targetWidth)
+   * @param height - height to draw at (default: targetHeight)
+   */
+  public drawFrame(
+    ctx: CanvasRenderingContext2D,
+    frame: number,
+    x: number,
+    y: number,
+    width: number = this.targetWidth,
+    height: number = this.targetHeight
+  ) {
+    const rect = this.frameRects?.[Math.floor(frame)];
+    if (!rect) {
+      const across = this.framesAcross;
+      ctx.drawImage(
+        this.image,
+        (Math.floor(frame) % across) * this.frameWidth,
+        Math.floor(Math.floor(frame) / across) * this.frameHeight,
+        this.frameWidth,
+        this.frameHeight,
+        x,
+        y,
+        width,
+        height
+      );
+      return;
+    }
+    // Frames keep their size relative to frameWidth, so trimmed frames
+    // (and frames of different sizes) line up.
+    const scaleX = width / this.frameWidth;
+    const scaleY = height / this.frameHeight;
+    const dx = x + (rect.offsetX ?? 0) * scaleX;
+    const dy = y + (rect.offsetY ?? 0) * scaleY;
+    const dw = rect.width * scaleX;
+    const dh = rect.height * scaleY;
+    if (!rect.rotated) {
+      ctx.drawImage(
+        this.image,
+        rect.x,
+        rect.y,
+        rect.width,
+        rect.height,
+        dx,
+        dy,
+        dw,
+        dh
+      );
+      return;
+    }
+    // The sheet holds the frame turned clockwise, so turn it back.
+    ctx.save();
+    ctx.translate(dx, dy + dh);
+    ctx.rotate(-Math.PI / 2);
+    ctx.drawImage(
+      this.image,
+      rect.x,
+      rect.y,
+      rect.height,
+      rect.width,
+      0,
+      0,
+      dh,
+      dw
+    );
+    ctx.restore();
+  }
+
+  /**
+   * Create a Sprite from atlas JSON exported by Aseprite or TexturePacker
+   * (hash or array format). Trimmed and rotated frames are drawn in the
+   * right place, Aseprite frame durations are used for timing, and frame
+   * tags (or TexturePacker animations) become animations you can
+   * {@link Sprite.play} by name.
+   *
+   * @example <caption>An Aseprite character with "idle" and "run" tags</caption>
+   * ```typescript
+   * const json = await (await fetch("hero.json")).json();
+   * const hero = Sprite.fromAtlas(json, "hero.png", { x: 100, y: 200 });
+   * hero.play("run");
+   * game.addDrawing(hero);
+   * ```
+   *
+   * @param json - the atlas JSON (parsed, or as a string)
+   * @param image - the atlas image, or its URL
+   * @param config - other Sprite settings, e.g. x, y, targetWidth or animation
+   */
+  public static fromAtlas(
+    json: AtlasData | string,
+    image: HTMLImageElement | string,
+    config: Partial<SpriteConfig> = {}
+  ): Sprite {
+    const { frames, animations } = parseAtlas(json);
+    if (!frames.length) {
+      throw new Error("Sprite.fromAtlas needs an atlas with at least 1 frame");
+    }
+    return new Sprite({
+      ...(typeof image === "string" ? { src: image } : { image }),
+      frameRects: frames,
+      ...config,
+      animations: { ...animations, ...config.animations },
+    });
+  }
+
+  /**
+   * Create a copy of sprite. The copy has its own animations and starts
+   * its current animation from the beginning, so playing or changing
+   * animations on one doesn't affect the other.
    * @param newParams settings to override
    * @return a copy of sprite
    */
-  public copy(newParams: Partial<SpriteConfig>): Sprite {
-    const params = { ...this, ...newParams, src: this.image.src };
-    return new Sprite(params as SpriteConfig);
+  public copy(newParams: Partial<SpriteConfig> = {}): Sprite {
+    const animations: { [name: string]: SpriteAnimation } = {};
+    for (const [name, animation] of Object.entries(this.animations)) {
+      animations[name] = { ...animation, frames: [...animation.frames] };
+    }
+    const params: SpriteConfig = {
+      image: this.image,
+      x: this.x,
+      y: this.y,
+      frameWidth: this.frameWidth,
+      frameHeight: this.frameHeight,
+      frameRects: this.frameRects,
+      frames: this.frames,
+      animate: this.animate,
+      frameSequence: this.frameSequence && [...this.frameSequence],
+      angle: this.angle,
+      targetWidth: this.targetWidth,
+      targetHeight: this.targetHeight,
+      frameRate: this.defaultFrameRate,
+      repeat: this.repeat,
+      flipHorizontal: this.flipHorizontal,
+      flipVertical: this.flipVertical,
+      anchorX: this.anchorX,
+      anchorY: this.anchorY,
+      pivotX: this.pivotX,
+      pivotY: this.pivotY,
+      scaleX: this.scaleX,
+      scaleY: this.scaleY,
+      alpha: this.alpha,
+      tint: this.tint,
+      blendMode: this.blendMode,
+      update: this.update,
+      animations,
+      animation: this.currentAnimation,
+      transitions: this.animationTransitions.map((t) => ({ ...t })),
+      onFrame: this.onFrame,
+      onAnimationEnd: this.onAnimationEnd,
+      ...newParams,
+    };
+    // A new src replaces the image rather than being ignored.
+    if (newParams.src && !newParams.image) delete params.image;
+    return new Sprite(params);
+  }
+
+  /**
+   * Draw a frame multiplied by the tint color. The frame is tinted at its
+   * full resolution on a scratch canvas, keeping its transparent parts.
+   */
+  private drawTinted(
+    ctx: CanvasRenderingContext2D,
+    frame: number,
+    x: number,
+    y: number
+  ) {
+    const { frameWidth, frameHeight } = this;
+    if (!this.tintCanvas) this.tintCanvas = document.createElement("canvas");
+    const canvas = this.tintCanvas;
+    if (canvas.width !== frameWidth || canvas.height !== frameHeight) {
+      canvas.width = frameWidth;
+      canvas.height = frameHeight;
+    }
+    const tctx = canvas.getContext("2d")!;
+    tctx.globalCompositeOperation = "source-over";
+    tctx.clearRect(0, 0, frameWidth, frameHeight);
+    this.drawFrame(tctx, frame, 0, 0, frameWidth, frameHeight);
+    tctx.globalCompositeOperation = "multiply";
+    tctx.fillStyle = this.tint!;
+    tctx.fillRect(0, 0, frameWidth, frameHeight);
+    // Multiplying fills the transparent parts too; cut them back out.
+    tctx.globalCompositeOperation = "destination-in";
+    this.drawFrame(tctx, frame, 0, 0, frameWidth, frameHeight);
+    ctx.drawImage(canvas, x, y, this.targetWidth, this.targetHeight);
+  }
+
+  /**
+   * Draw a crossed-out box with the URL we couldn't load, so a typo in a
+   * path is easy to spot.
+   */
+  private drawErrorPlaceholder(ctx: CanvasRenderingContext2D) {
+    const { targetWidth: w, targetHeight: h } = this;
+    const x = this.x - this.anchorX * w;
+    const y = this.y - this.anchorY * h;
+    ctx.save();
+    ctx.strokeStyle = "red";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, w, h);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + w, y + h);
+    ctx.moveTo(x + w, y);
+    ctx.lineTo(x, y + h);
+    ctx.stroke();
+    ctx.fillStyle = "red";
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.fillText(`Couldn't load ${this.failedSrc}`, x, y + h + 4);
+    ctx.restore();
   }
 
   /**
@@ -222,46 +952,57 @@ export class Sprite {
     if (this.removeOnNextFrame) {
       remove();
     }
-    if (!this.ready) {
+    if (this.error) {
+      this.drawErrorPlaceholder(ctx);
+    } else if (!this.ready) {
       ctx.fillText("Loading image...", this.x, this.y);
     } else {
       if (this.update) {
         this.update(this, cfg);
       }
+      this.runTransitions();
+      // Whole frame number, so onFrame fires once per frame shown.
+      const frame = Math.floor(this.frame);
+      if (frame !== this.lastFrame) {
+        this.lastFrame = frame;
+        this.onFrame?.(frame, this);
+      }
 
-      // Apply transformations (rotation and horizontal flip)
-      if (this.angle || this.flipHorizontal) {
-        const centerX = this.x + this.targetWidth / 2;
-        const centerY = this.y + this.targetHeight / 2;
-
-        ctx.translate(centerX, centerY);
-
-        if (this.flipHorizontal) {
-          ctx.scale(-1, 1);
-        }
-
+      // Save and restore rather than resetting the transform, so sprites
+      // work inside a camera, Group or Scene.
+      ctx.save();
+      ctx.globalAlpha *= this.alpha;
+      if (this.blendMode) ctx.globalCompositeOperation = this.blendMode;
+      const width = this.targetWidth;
+      const height = this.targetHeight;
+      const left = this.x - this.anchorX * width;
+      const top = this.y - this.anchorY * height;
+      const flipX = this.flipHorizontal ? -1 : 1;
+      const flipY = this.flipVertical ? -1 : 1;
+      if (
+        this.angle ||
+        this.scaleX * flipX !== 1 ||
+        this.scaleY * flipY !== 1
+      ) {
+        const pivotX = left + this.pivotX * width;
+        const pivotY = top + this.pivotY * height;
+        ctx.translate(pivotX, pivotY);
+        ctx.scale(this.scaleX * flipX, this.scaleY * flipY);
         if (this.angle) {
           ctx.rotate(this.angle);
         }
-
-        ctx.translate(-centerX, -centerY);
+        ctx.translate(-pivotX, -pivotY);
       }
 
-      ctx.drawImage(
-        this.image,
-        this.frameX,
-        this.frameY,
-        this.frameWidth,
-        this.frameHeight,
-        this.x,
-        this.y,
-        this.targetWidth,
-        this.targetHeight
-      );
+      if (this.tint) {
+        this.drawTinted(ctx, frame, left, top);
+      } else {
+        this.drawFrame(ctx, frame, left, top);
+      }
+      ctx.restore();
       if (this.animate) {
-        this.frameAnimationIndex += stepTime / (1000 / this.frameRate);
+        this.advanceAnimation(stepTime);
       }
-      ctx.setTransform(1, 0, 0, 1, 0, 0); // reset
     }
   }
 }
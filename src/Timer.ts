@@ -0,0 +1,100 @@
+/**
+ * A Timer calls a function after a delay, or over and over, measured in
+ * game time. Create one with {@link GameCanvas.after} or
+ * {@link GameCanvas.every}.
+ *
+ * Unlike setTimeout and setInterval, timers advance with the game loop:
+ * they stop while the game is paused and never drift from frame time.
+ *
+ * @memberof SimpleCanvas
+ */
+export class Timer {
+  private delay: number;
+  private callback: (timer: Timer) => void;
+  private repeat: boolean;
+  private time: number = 0;
+  private paused: boolean = false;
+  private done: boolean = false;
+
+  /**
+   * @param delay - milliseconds of game time before the callback is called
+   * @param callback - function to call, passed the timer (e.g. to cancel it)
+   * @param repeat - whether to call the callback every `delay` ms until cancelled
+   */
+  constructor(
+    delay: number,
+    callback: (timer: Timer) => void,
+    repeat: boolean = false
+  ) {
+    if (typeof callback !== "function") {
+      throw new Error(
+        `Timer requires a function to call. ${callback} is a ${typeof callback}, not a function.`
+      );
+    }
+    if (repeat && !(delay > 0)) {
+      throw new Error(
+        `every requires a positive number of milliseconds. Received ${delay}`
+      );
+    }
+    this.delay = delay;
+    this.callback = callback;
+    this.repeat = repeat;
+  }
+
+  /**
+   * Move the timer forward, calling the callback if it is due (more than
+   * once for a repeating timer if a long frame covered several calls).
+   * Called by GameCanvas each frame.
+   *
+   * @returns true once the timer has finished (or been cancelled)
+   */
+  public advance(ms: number): boolean {
+    if (this.done) return true;
+    if (this.paused) return false;
+    this.time += ms;
+    while (!this.done && this.time >= this.delay) {
+      this.time -= this.delay;
+      if (!this.repeat) this.done = true;
+      this.callback(this);
+    }
+    return this.done;
+  }
+
+  /**
+   * Milliseconds of game time until the callback is next called.
+   */
+  public getRemaining(): number {
+    return this.done ? 0 : Math.max(0, this.delay - this.time);
+  }
+
+  /**
+   * Stop the timer so the callback is never called (again).
+   */
+  public cancel(): this {
+    this.done = true;
+    return this;
+  }
+
+  /**
+   * Pause the timer (the rest of the game keeps going).
+   */
+  public pause(): this {
+    this.paused = true;
+    return this;
+  }
+
+  /**
+   * Resume a paused timer.
+   */
+  public resume(): this {
+    this.paused = false;
+    return this;
+  }
+
+  /**
+   * Has the timer finished or been cancelled?
+   */
+  public isFinished(): boolean {
+    return this.done;
+  }
+}
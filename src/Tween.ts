@@ -0,0 +1,449 @@
+/**
+ * An easing function maps progress (0 to 1) to eased progress. It should
+ * return 0 for 0 and 1 for 1, but may overshoot in between.
+ */
+export type EasingFunction = (t: number) => number;
+
+const bounceOut: EasingFunction = (t) => {
+  const n = 7.5625;
+  const d = 2.75;
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+  return n * (t -= 2.625 / d) * t + 0.984375;
+};
+
+const BACK = 1.70158;
+
+/**
+ * Standard easing functions, for use as the `easing` option of a tween
+ * (either the function itself or its name, e.g. "easeOutQuad").
+ *
+ * "In" eases start slowly, "Out" eases end slowly and "InOut" eases do
+ * both. Back eases overshoot, elastic eases wobble and bounce eases
+ * bounce.
+ *
+ * @memberof SimpleCanvas
+ */
+export const Easing = {
+  linear: (t: number) => t,
+  easeInQuad: (t: number) => t * t,
+  easeOutQuad: (t: number) => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: (t: number) =>
+    t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  easeInCubic: (t: number) => t * t * t,
+  easeOutCubic: (t: number) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t: number) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInSine: (t: number) => 1 - Math.cos((t * Math.PI) / 2),
+  easeOutSine: (t: number) => Math.sin((t * Math.PI) / 2),
+  easeInOutSine: (t: number) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInExpo: (t: number) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  easeOutExpo: (t: number) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  easeInBack: (t: number) => (BACK + 1) * t * t * t - BACK * t * t,
+  easeOutBack: (t: number) =>
+    1 + (BACK + 1) * Math.pow(t - 1, 3) + BACK * Math.pow(t - 1, 2),
+  easeInOutBack: (t: number) => {
+    const c = BACK * 1.525;
+    return t < 0.5
+      ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+  },
+  easeInElastic: (t: number) =>
+    t === 0 || t === 1
+      ? t
+      : -Math.pow(2, 10 * t - 10) *
+        Math.sin(((t * 10 - 10.75) * (2 * Math.PI)) / 3),
+  easeOutElastic: (t: number) =>
+    t === 0 || t === 1
+      ? t
+      : Math.pow(2, -10 * t) * Math.sin(((t * 10 - 0.75) * (2 * Math.PI)) / 3) +
+        1,
+  easeInBounce: (t: number) => 1 - bounceOut(1 - t),
+  easeOutBounce: bounceOut,
+  easeInOutBounce: (t: number) =>
+    t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2,
+};
+
+/** The name of one of the functions in {@link Easing} */
+export type EasingName = keyof typeof Easing;
+
+/**
+ * Options for a tween.
+ */
+export type TweenOptions = {
+  /** Milliseconds to go from start to end (default: 500) */
+  duration?: number;
+  /** An easing function or the name of one in Easing (default: "linear") */
+  easing?: EasingFunction | EasingName;
+  /** Milliseconds to wait before starting (default: 0) */
+  delay?: number;
+  /** Times to play again after the first time; Infinity repeats forever (default: 0) */
+  repeat?: number;
+  /** Whether every other repeat plays backwards (default: false) */
+  yoyo?: boolean;
+  /** Called after the target is changed each frame, with progress from 0 to 1 */
+  onUpdate?: (progress: number) => void;
+};
+
+/**
+ * Anything the game loop can advance: a Tween or a Timeline.
+ */
+interface Playable {
+  /** Move forward ms milliseconds; return true once finished */
+  advance(ms: number): boolean;
+}
+
+/**
+ * A Tween changes numeric properties of an object from their current
+ * values to new values over time. Create one with {@link GameCanvas.tween}.
+ *
+ * Tweens can be awaited (they resolve when finished or cancelled) and
+ * advance with the game loop, so they pause whenever the game does.
+ *
+ * @memberof SimpleCanvas
+ */
+export class Tween implements Playable, PromiseLike<void> {
+  /** The object whose properties are changing */
+  public readonly target: any;
+  /** Resolves when the tween finishes or is cancelled */
+  public readonly finished: Promise<void>;
+  private props: Record<string, number>;
+  private from?: Record<string, number>;
+  private duration: number;
+  private easing: EasingFunction;
+  private delay: number;
+  private repeat: number;
+  private yoyo: boolean;
+  private onUpdate?: (progress: number) => void;
+  private time: number = 0;
+  private paused: boolean = false;
+  private done: boolean = false;
+  private resolve!: () => void;
+
+  /**
+   * @param target - the object to change
+   * @param props - the values to change its properties to
+   * @param options - duration, easing, delay, repeat and yoyo
+   */
+  constructor(
+    target: any,
+    props: Record<string, number>,
+    options: TweenOptions = {}
+  ) {
+    for (const key of Object.keys(props)) {
+      if (typeof target[key] !== "number") {
+        throw new Error(
+          `Cannot tween ${key}: it is ${typeof target[key]} ${
+            target[key]
+          }, not a number`
+        );
+      }
+    }
+    const easing = options.easing ?? "linear";
+    if (typeof easing === "string" && !Easing[easing]) {
+      throw new Error(
+        `No easing named ${easing}. Try one of: ${Object.keys(Easing).join(
+          ","
+        )}`
+      );
+    }
+    this.target = target;
+    this.props = props;
+    this.duration = options.duration ?? 500;
+    this.easing = typeof easing === "string" ? Easing[easing] : easing;
+    this.delay = options.delay ?? 0;
+    this.repeat = options.repeat ?? 0;
+    this.yoyo = options.yoyo ?? false;
+    this.onUpdate = options.onUpdate;
+    this.finished = new Promise((resolve) => (this.resolve = resolve));
+  }
+
+  /**
+   * Move the tween forward. Called by GameCanvas each frame.
+   * @returns true once the tween has finished (or been cancelled)
+   */
+  public advance(ms: number): boolean {
+    if (this.done) return true;
+    if (this.paused) return false;
+    this.time += ms;
+    const active = this.time - this.delay;
+    if (active < 0) return false;
+    if (!this.from) {
+      // Start from wherever the target is when the tween (not its delay) starts.
+      this.from = {};
+      for (const key of Object.keys(this.props)) {
+        this.from[key] = this.target[key];
+      }
+    }
+    const cycles = this.repeat + 1;
+    const finished = this.duration <= 0 || active >= this.duration * cycles;
+    let cycle: number;
+    let t: number;
+    if (finished) {
+      cycle = this.repeat;
+      t = 1;
+    } else {
+      cycle = Math.floor(active / this.duration);
+      t = (active % this.duration) / this.duration;
+    }
+    if (this.yoyo && cycle % 2 === 1) t = 1 - t;
+    const eased = this.easing(t);
+    for (const key of Object.keys(this.props)) {
+      this.target[key] =
+        this.from[key] + (this.props[key] - this.from[key]) * eased;
+    }
+    this.onUpdate?.(t);
+    if (finished) this.finish();
+    return finished;
+  }
+
+  private finish() {
+    this.done = true;
+    this.resolve();
+  }
+
+  /**
+   * Stop the tween where it is. Anything awaiting it carries on.
+   */
+  public cancel(): this {
+    if (!this.done) this.finish();
+    return this;
+  }
+
+  /**
+   * Stop the tween without finishing it, so anything awaiting it never
+   * carries on. Used when the scene that started it exits.
+   */
+  public discard(): this {
+    this.done = true;
+    return this;
+  }
+
+  /**
+   * Pause the tween (the rest of the game keeps going).
+   */
+  public pause(): this {
+    this.paused = true;
+    return this;
+  }
+
+  /**
+   * Resume a paused tween.
+   */
+  public resume(): this {
+    this.paused = false;
+    return this;
+  }
+
+  /**
+   * Has the tween finished or been cancelled?
+   */
+  public isFinished(): boolean {
+    return this.done;
+  }
+
+  /**
+   * Wait for the finish, so `await` works.
+   */
+  public then<A = void, B = never>(
+    onfulfilled?: ((value: void) => A | PromiseLike<A>) | null,
+    onrejected?: ((reason: any) => B | PromiseLike<B>) | null
+  ): Promise<A | B> {
+    return this.finished.then(onfulfilled, onrejected);
+  }
+}
+
+/** One step of a timeline, starting `start` ms after the timeline starts */
+type TimelineStep = {
+  start: number;
+  end: number;
+  begin: () => Playable | void;
+  playing?: Playable;
+  begun?: boolean;
+  finished?: boolean;
+};
+
+/**
+ * A Timeline plays tweens one after another (or alongside each other).
+ * Create one with {@link GameCanvas.timeline}; it starts on the next
+ * frame.
+ *
+ * @example <caption>Slide in, flash, then slide out</caption>
+ * ```typescript
+ * await game.timeline()
+ *   .to(title, { x: 200 }, { duration: 600, easing: "easeOutBack" })
+ *   .to(title, { opacity: 0 }, { duration: 100, repeat: 3, yoyo: true })
+ *   .wait(1000)
+ *   .to(title, { x: -300 }, { duration: 400, easing: "easeInQuad" })
+ *   .with(subtitle, { x: -300 }, { duration: 400, easing: "easeInQuad" })
+ *   .call(startLevel);
+ * ```
+ *
+ * @memberof SimpleCanvas
+ */
+export class Timeline implements Playable, PromiseLike<void> {
+  /** Resolves when the timeline finishes or is cancelled */
+  public readonly finished: Promise<void>;
+  private steps: TimelineStep[] = [];
+  private time: number = 0;
+  private paused: boolean = false;
+  private done: boolean = false;
+  private resolve!: () => void;
+
+  constructor() {
+    this.finished = new Promise((resolve) => (this.resolve = resolve));
+  }
+
+  /** When the last step ends */
+  private get length() {
+    return Math.max(0, ...this.steps.map((s) => s.end));
+  }
+
+  private addStep(
+    start: number,
+    duration: number,
+    begin: TimelineStep["begin"]
+  ) {
+    if (this.done) {
+      throw new Error("Cannot add to a timeline that has already finished");
+    }
+    this.steps.push({ start, end: start + duration, begin });
+    return this;
+  }
+
+  /**
+   * Tween the target after everything already in the timeline.
+   */
+  public to(
+    target: any,
+    props: Record<string, number>,
+    options: TweenOptions = {}
+  ): this {
+    return this.addStep(
+      this.length,
+      tweenLength(options),
+      () => new Tween(target, props, options)
+    );
+  }
+
+  /**
+   * Tween the target at the same time as the previous step.
+   */
+  public with(
+    target: any,
+    props: Record<string, number>,
+    options: TweenOptions = {}
+  ): this {
+    const previous = this.steps[this.steps.length - 1];
+    return this.addStep(
+      previous?.start ?? 0,
+      tweenLength(options),
+      () => new Tween(target, props, options)
+    );
+  }
+
+  /**
+   * Do nothing for a while.
+   */
+  public wait(ms: number): this {
+    return this.addStep(this.length, ms, () => {
+      let elapsed = 0;
+      return { advance: (dt: number) => (elapsed += dt) >= ms };
+    });
+  }
+
+  /**
+   * Call a function after everything already in the timeline.
+   */
+  public call(fn: () => void): this {
+    // Ignore what fn returns (e.g. `() => sprite.play("run")` returns the
+    // sprite), so it isn't mistaken for a tween to play.
+    return this.addStep(this.length, 0, () => {
+      fn();
+    });
+  }
+
+  /**
+   * Move the timeline forward. Called by GameCanvas each frame.
+   * @returns true once the timeline has finished (or been cancelled)
+   */
+  public advance(ms: number): boolean {
+    if (this.done) return true;
+    if (this.paused) return false;
+    this.time += ms;
+    for (const step of this.steps) {
+      if (step.finished) continue;
+      let elapsed = ms;
+      if (!step.begun) {
+        if (this.time < step.start) continue;
+        step.begun = true;
+        step.playing = step.begin() || undefined;
+        // Catch up on however far into the step this frame went.
+        elapsed = this.time - step.start;
+      }
+      step.finished = !step.playing || step.playing.advance(elapsed);
+    }
+    const finished = this.steps.every((s) => s.finished);
+    if (finished) this.cancel();
+    return finished;
+  }
+
+  /**
+   * Stop the timeline where it is. Anything awaiting it carries on.
+   */
+  public cancel(): this {
+    if (!this.done) {
+      this.done = true;
+      this.resolve();
+    }
+    return this;
+  }
+
+  /**
+   * Stop the timeline without finishing it, so anything awaiting it never
+   * carries on. Used when the scene that started it exits.
+   */
+  public discard(): this {
+    this.done = true;
+    return this;
+  }
+
+  /**
+   * Pause the timeline (the rest of the game keeps going).
+   */
+  public pause(): this {
+    this.paused = true;
+    return this;
+  }
+
+  /**
+   * Resume a paused timeline.
+   */
+  public resume(): this {
+    this.paused = false;
+    return this;
+  }
+
+  /**
+   * Has the timeline finished or been cancelled?
+   */
+  public isFinished(): boolean {
+    return this.done;
+  }
+
+  /**
+   * Wait for the finish, so `await` works.
+   */
+  public then<A = void, B = never>(
+    onfulfilled?: ((value: void) => A | PromiseLike<A>) | null,
+    onrejected?: ((reason: any) => B | PromiseLike<B>) | null
+  ): Promise<A | B> {
+    return this.finished.then(onfulfilled, onrejected);
+  }
+}
+
+/** How long a tween takes from start to finish (Infinity if it repeats forever) */
+function tweenLength({ duration = 500, delay = 0, repeat = 0 }: TweenOptions) {
+  return delay + duration * (repeat + 1);
+}
@@ -2,12 +2,90 @@ import { GameCanvas } from "./GameCanvas";
 import type { DrawingParams, EventCallbackArgs } from "./types";
 
 export { GameCanvas } from "./GameCanvas";
+export type { GameCanvasConfig } from "./GameCanvas";
+export { Camera } from "./Camera";
+export type {
+  CameraBounds,
+  CameraTarget,
+  FollowOptions,
+  Transform,
+} from "./Camera";
+export { Keyboard } from "./Keyboard";
+export { Input } from "./Input";
+export { Gamepads } from "./Gamepads";
+export type {
+  GamepadState,
+  GamepadButtonState,
+  GamepadSource,
+} from "./Gamepads";
+export type { InputBinding, AxisBinding, InputBindings } from "./Input";
 export { Sprite } from "./Sprite";
-export type { SpriteConfig } from "./Sprite";
-export type { Size, DrawingParams, DrawingCallback, Drawer } from "./types";
+export { Shape, Circle, Rect, Polygon, Line, Text } from "./Shapes";
+export type { ShapeConfig } from "./Shapes";
+export { Group } from "./Group";
+export type { GroupConfig, GroupChild } from "./Group";
+export { Tween, Timeline, Easing } from "./Tween";
+export type { TweenOptions, EasingFunction, EasingName } from "./Tween";
+export { Timer } from "./Timer";
+export { ParticleEmitter } from "./Particles";
+export type { ParticleEmitterConfig } from "./Particles";
+export { PhysicsWorld, Body } from "./Physics";
+export type {
+  PhysicsWorldConfig,
+  BodyConfig,
+  BodyShape,
+  PhysicsTarget,
+  CollisionEvent,
+} from "./Physics";
+export {
+  overlaps,
+  containsPoint,
+  segmentIntersection,
+  raycast,
+  getBounds,
+  SpatialHash,
+} from "./Collision";
+export type { Collidable, Point, Bounds, RaycastHit } from "./Collision";
+export type {
+  SpriteConfig,
+  SpriteAnimation,
+  SpriteTransition,
+  SpriteFrame,
+  SpriteImageSource,
+} from "./Sprite";
+export { parseAtlas } from "./Atlas";
+export { AssetLoader } from "./AssetLoader";
+export type {
+  AssetManifest,
+  LoadedAssets,
+  LoadedAtlas,
+  AssetProgress,
+} from "./AssetLoader";
+export type { AtlasData, AtlasFrameData, AtlasFrameTag } from "./Atlas";
+export type {
+  Size,
+  DrawingParams,
+  DrawingCallback,
+  Drawer,
+  DrawingOptions,
+  LayerOptions,
+  EventCallbackArgs,
+  PointerInfo,
+  PointerCallbackArgs,
+  WheelCallbackArgs,
+  DragCallbackArgs,
+  ShapeEvent,
+  InteractiveTarget,
+  Hittable,
+  UpdateParams,
+  UpdateCallback,
+  Updater,
+} from "./types";
 
 export { GameInterface } from "./GameInterface";
 export type { GameInterfaceConfig } from "./GameInterface";
+export { Scene, SceneManager } from "./Scenes";
+export type { SceneConfig, SceneTransition } from "./Scenes";
 
 /**
  * Test library function for demonstration purposes.
@@ -30,7 +108,7 @@ export function testLibrary(): void {
   let tog = true;
   g.addClickHandler(({ x, y }: EventCallbackArgs) => {
     if (tog) {
-      g.removeDrawing(id2);
+      g.removeDrawing(id2, { keep: true });
     } else {
       g.restoreDrawing(id2);
     }
@@ -22,11 +22,12 @@ export type Size = {
  * @typedef SimpleCanvas.GameCanvas~drawCallback
  * @property {Object} config
  * @property {CanvasRenderingContext2D} config.ctx - drawing context
- * @property {number} config.width - width of canvas
- * @property {number} config.height - height of canvas
- * @property {number} config.elapsed - milliseconds since first drawing
+ * @property {number} config.width - width of canvas in logical (CSS) pixels, whatever the pixel ratio
+ * @property {number} config.height - height of canvas in logical (CSS) pixels
+ * @property {number} config.elapsed - milliseconds of game time since first drawing (scaled by timeScale)
  * @property {number} config.timestamp - current timestamp
- * @property {number} config.stepTime - milliseconds passed since last tick
+ * @property {number} config.stepTime - milliseconds of game time passed since last tick (scaled by timeScale)
+ * @property {number} config.alpha - fraction (0-1) of a fixed update step left over since the last update, for interpolating between update states
  * @property {Function} config.remove - a function that will remove this callback from the queue
  */
 export type DrawingParams = {
@@ -36,19 +37,71 @@ export type DrawingParams = {
   elapsed: number;
   timestamp: number;
   stepTime: number;
+  alpha: number;
   remove: () => void;
 };
 
+/**
+ * Options for ordering a drawing in GameCanvas.addDrawing.
+ */
+export type DrawingOptions = {
+  /** Layer to draw in; higher layers are drawn on top (default: 0) */
+  layer?: number;
+  /** Order within the layer; higher zIndex is drawn on top (default: 0) */
+  zIndex?: number;
+};
+
+/**
+ * Options for a drawing layer, set with GameCanvas.setLayerOptions.
+ */
+export type LayerOptions = {
+  /** Whether drawings in this layer are moved by the camera (default: true) */
+  camera?: boolean;
+};
+
 /**
  * Type for a drawing callback function used in GameCanvas.
  */
 export type DrawingCallback = (params: DrawingParams) => void;
 
+/**
+ * @typedef SimpleCanvas.GameCanvas~updateCallback
+ * @property {Object} config
+ * @property {number} config.width - width of canvas
+ * @property {number} config.height - height of canvas
+ * @property {number} config.stepTime - fixed milliseconds per update (1000 / updateRate)
+ * @property {number} config.elapsed - simulated milliseconds since the update was added
+ * @property {Function} config.remove - a function that will remove this update from the queue
+ */
+export type UpdateParams = {
+  width: number;
+  height: number;
+  stepTime: number;
+  elapsed: number;
+  remove: () => void;
+};
+
+/**
+ * Type for an update callback function used in GameCanvas.
+ */
+export type UpdateCallback = (params: UpdateParams) => void;
+
+/**
+ * Type for an object with an update method used in GameCanvas.
+ */
+export type Updater = {
+  update: UpdateCallback;
+};
+
 /**
  * @callback SimpleCanvas.GameCanvas~eventCallback
  * @param {Object} config
- * @param {number} config.x - offsetX of event (x with respect to canvas)
- * @param {number} config.y - offsetY of event (y with respect to canvas)
+ * @param {number} config.x - x of event in canvas coordinates (corrected for any CSS scaling of the canvas)
+ * @param {number} config.y - y of event in canvas coordinates (corrected for any CSS scaling of the canvas)
+ * @param {number} config.cssX - x of event in CSS pixels from the left of the canvas content
+ * @param {number} config.cssY - y of event in CSS pixels from the top of the canvas content
+ * @param {number} config.worldX - x converted to world coordinates using the camera
+ * @param {number} config.worldY - y converted to world coordinates using the camera
  * @param {string} config.type - type of event (i.e. mouseUp)
  * @param {Event} config.event - javascript event object
  * @return {boolean|undefined} Return true to prevent other handlers from being called, or undefined/false to allow other handlers to run.
@@ -56,10 +109,133 @@ export type DrawingCallback = (params: DrawingParams) => void;
 export type EventCallbackArgs = {
   x: number;
   y: number;
+  cssX: number;
+  cssY: number;
+  worldX: number;
+  worldY: number;
+  type: string;
+  event: Event;
+};
+
+/**
+ * A pointer (mouse, pen or finger) pressed on the canvas.
+ */
+export type PointerInfo = {
+  /** Unique ID for this pointer while it is down (each finger gets its own) */
+  pointerId: number;
+  /** "mouse", "pen" or "touch" */
+  pointerType: string;
+  /** Pressure from 0 to 1 (0.5 for mouse buttons and devices without pressure) */
+  pressure: number;
+  /** Whether this is the primary pointer (e.g. the first finger down) */
+  isPrimary: boolean;
+  x: number;
+  y: number;
+  cssX: number;
+  cssY: number;
+  worldX: number;
+  worldY: number;
+  /** Where the pointer was first pressed, in canvas coordinates */
+  startX: number;
+  startY: number;
+};
+
+/**
+ * @callback SimpleCanvas.GameCanvas~pointerCallback
+ * @param {Object} config - all the properties of PointerInfo, plus:
+ * @param {PointerInfo[]} config.pointers - every pointer currently pressed on the canvas
+ * @param {string} config.type - type of event (i.e. pointerdown)
+ * @param {PointerEvent} config.event - javascript event object
+ * @return {boolean|undefined} Return true to prevent other handlers from being called.
+ */
+export type PointerCallbackArgs = PointerInfo & {
+  pointers: PointerInfo[];
+  type: string;
+  event: PointerEvent;
+};
+
+/**
+ * @callback SimpleCanvas.GameCanvas~wheelCallback
+ * @param {Object} config - the same properties as an event callback, plus:
+ * @param {number} config.deltaX - horizontal scroll amount in pixels
+ * @param {number} config.deltaY - vertical scroll amount in pixels (positive means scrolling down)
+ * @param {WheelEvent} config.event - javascript event object (call preventDefault() to stop the page scrolling)
+ */
+export type WheelCallbackArgs = EventCallbackArgs & {
+  deltaX: number;
+  deltaY: number;
+  event: WheelEvent;
+};
+
+/**
+ * @callback SimpleCanvas.GameCanvas~dragCallback
+ * @param {Object} config - all the properties of PointerInfo (x, y, startX, startY...), plus:
+ * @param {string} config.phase - "start" when pressed, "move" while moving and "end" when released
+ * @param {number} config.dx - distance moved in x since the last drag call (canvas coordinates)
+ * @param {number} config.dy - distance moved in y since the last drag call (canvas coordinates)
+ * @param {number} config.startWorldX - where the drag started, in world coordinates
+ * @param {number} config.startWorldY - where the drag started, in world coordinates
+ * @param {PointerEvent} config.event - javascript event object
+ */
+export type DragCallbackArgs = PointerInfo & {
+  phase: "start" | "move" | "end";
+  dx: number;
+  dy: number;
+  startWorldX: number;
+  startWorldY: number;
+  type: string;
+  event: PointerEvent;
+};
+
+/**
+ * Event passed to shape callbacks (onclick, onhover, ondrag).
+ *
+ * x and y are in the same coordinates the shape is drawn in: world
+ * coordinates, or screen coordinates for layers that ignore the camera.
+ * For shapes inside a Group, these are the coordinates the outermost group
+ * is drawn in; use Group.toLocal to convert them.
+ */
+export type ShapeEvent = {
+  x: number;
+  y: number;
+  /** The shape (or group) whose callback is being called */
+  target: InteractiveTarget;
   type: string;
   event: Event;
 };
 
+/**
+ * Callbacks a shape or group can have to respond to the pointer.
+ * Return true from a callback to stop other handlers from being called.
+ */
+export type InteractiveTarget = {
+  /** Called when the shape is clicked or tapped */
+  onclick?: (e: ShapeEvent) => boolean | void;
+  /** Called when the pointer moves onto (hovering: true) or off (hovering: false) the shape */
+  onhover?: (e: ShapeEvent & { hovering: boolean }) => boolean | void;
+  /** Called when the shape is dragged, with the distance moved since the last call */
+  ondrag?: (
+    e: ShapeEvent & { phase: "start" | "move" | "end"; dx: number; dy: number }
+  ) => boolean | void;
+};
+
+/**
+ * A drawing that GameCanvas can route pointer events to (like a Shape or Group).
+ */
+export type Hittable = {
+  /**
+   * Find the topmost target at (x, y) that accepts the event.
+   * @param x - x in the coordinates the drawing is drawn in
+   * @param y - y in the coordinates the drawing is drawn in
+   * @param accepts - whether a target has the callback we're looking for
+   */
+  hitTest(
+    x: number,
+    y: number,
+    accepts: (target: InteractiveTarget) => boolean
+  ): InteractiveTarget | undefined;
+};
+
 /**
  * @callback SimpleCanvas.GameCanvas~resizeCallback
  * @param {Object} config